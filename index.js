@@ -10,30 +10,233 @@ const LOG_PREFIX = `[${EXTENSION_NAME}]`;
  * @property {boolean} enabled
  * @property {string} stage1Api
  * @property {string} stage1Model
- * @property {string} stage2Api
- * @property {string} stage2Model
+ * @property {number} stage1Temperature
+ * @property {number} stage1MaxTokens
+ * @property {number} stage1Timeout Seconds before a Stage 1 request is abandoned.
+ * @property {string} stage1BackupApi
+ * @property {string} stage1BackupModel
+ * @property {FallbackStep[]} fallbackChain Tried in order when Stage 1 fails.
+ * @property {string} selectionBackend ID of the registered backend that picks the entries.
+ * @property {string} localBackend Local backend used by the `local` fallback step and as the dry run baseline.
+ * @property {number} keywordTopK How many entries a local backend picks.
+ * @property {number} similarityThreshold Minimum similarity score for the `similarity` backend.
  * @property {string} analysisPromptTemplate
- * @property {string} lorebookFile
+ * @property {LorebookConfig[]} lorebooks
  * @property {number} contextDepth
+ * @property {'messages'|'tokens'} contextDepthMode
+ * @property {number} contextTokenBudget
+ * @property {boolean} historyExcludeHidden
+ * @property {boolean} historyExcludeSystem
+ * @property {boolean} historyExcludeNarrator
+ * @property {'native'|'lalib'} activationBackend
+ * @property {'tags'|'json'} outputFormat
+ * @property {'firstLine'|'description'|'keys'|'group'|'chars'} registrySource What describes each entry in the registry.
+ * @property {number} registryChars Characters of content used by the `chars` source.
+ * @property {boolean} registryGroupByCategory Group registry lines by the entry's world info group.
+ * @property {number} registryTokenBudget Trim the registry above this many tokens; 0 disables.
+ * @property {number} maxValidationRetries
  * @property {boolean} smartRegeneration
+ * @property {Object<string, 'analyze'|'reuse'|'diversify'|'skip'>} generationTypeActions Keyed by generation type.
+ *   `diversify` re-analyzes with the earlier attempts' selections and asks for a different mix.
+ * @property {boolean} diversityRecencyBias Steer diversified re-analysis toward entries not used recently.
+ * @property {number} diversityLookback Turns an entry must be unused to count as "not used recently".
+ * @property {number} analyzeEveryNTurns Reuse the last analysis for this many turns before analyzing again.
+ * @property {'none'|'user'|'character'} skipLastSpeaker Skip when the message before the reply is from this side.
+ * @property {'off'|'reply'|'typing'} speculativeAnalysis When to pre-compute the next analysis in the background.
+ * @property {StageConfig[]} stages Extra stages run between the analysis and the generation.
+ * @property {boolean} groupOtherMembers In group chats, add short profiles of the other members to {{character}}.
+ * @property {number} analysisTokenBudget Warn when the rendered analysis prompt exceeds this many tokens; 0 disables.
+ * @property {Object<string, UsageBucket>} usageByModel Stage 1 usage keyed by `api/model`.
+ * @property {'off'|'reasoning'|'plan'} forwardAnalysis What to inject into the Stage 2 prompt.
+ * @property {'chat'|'before'|'after'} forwardPosition
+ * @property {number} forwardDepth
+ * @property {'system'|'user'|'assistant'} forwardRole
  * @property {boolean} debugMode
+ * @property {Object<string, Partial<Settings>>} profiles Named bundles of the keys in PROFILE_KEYS.
+ */
+
+/**
+ * @typedef {object} LorebookConfig
+ * @property {string} name File name of the lorebook.
+ * @property {string} alias Namespace used in selection IDs, e.g. `style` in `style:12`.
+ * @property {boolean} enabled
+ * @property {SelectionRules} [rules]
+ * @property {Object<number, string>} [descriptions] Registry descriptions keyed by entry UID.
+ */
+
+/**
+ * @typedef {object} SelectionRules
+ * @property {number} minSelections
+ * @property {number} maxSelections 0 means no limit.
+ * @property {number[]} alwaysActive UIDs that are activated on every turn.
+ * @property {boolean} exclusiveGroups Allow at most one selected entry per world info group.
+ * @property {number} defaultCooldown Turns an entry must rest after being used.
+ * @property {Object<number, number>} cooldowns Per-UID cooldown overrides.
+ */
+
+const DEFAULT_SELECTION_RULES = Object.freeze({
+    minSelections: 0,
+    maxSelections: 0,
+    alwaysActive: [],
+    exclusiveGroups: false,
+    defaultCooldown: 0,
+    cooldowns: {},
+});
+
+/**
+ * An extra model call between the analysis and the generation.
+ * @typedef {object} StageConfig
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {string} api Empty to use the Stage 1 model.
+ * @property {string} model
+ * @property {number} [temperature] Unset to use the Stage 1 temperature.
+ * @property {number} [maxTokens] Unset to use the Stage 1 max tokens.
+ * @property {string} promptTemplate
+ * @property {'inject'|'activate'|'variable'} output Inject the text, activate the UIDs it names, or set a chat variable.
+ * @property {'chat'|'before'|'after'} injectPosition
+ * @property {number} injectDepth
+ * @property {'system'|'user'|'assistant'} injectRole
+ * @property {string} variableName
+ */
+
+/**
+ * A saved chat state with the entries that should have been chosen for it.
+ * @typedef {object} EvalSnapshot
+ * @property {string} id
+ * @property {string} name
+ * @property {number} created
+ * @property {Object<string, string>} variables Template variables at capture time: history, character, registry and the rest.
+ * @property {MacroContext} [macros] What SillyTavern macros resolved to at capture time.
+ * @property {object[]} entries Registry entries at capture time.
+ * @property {string[]} expected IDs of the entries that should be chosen.
+ */
+
+/**
+ * @typedef {object} MacroContext
+ * @property {string} user
+ * @property {string} char
+ * @property {string} group
+ * @property {Object<string, string>} fields Character card macros such as `description` and `persona`.
+ */
+
+/**
+ * @typedef {object} EvalResult
+ * @property {string} snapshotId
+ * @property {string[]} ids
+ * @property {string[]} expected
+ * @property {number} hits
+ * @property {number} precision
+ * @property {number} recall
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {object} FallbackStep
+ * @property {'retry'|'backup'|'local'|'none'} step
+ * @property {boolean} enabled
  */
 
 /** @type {Settings} */
 const defaultSettings = Object.freeze({
-    version: 3,
+    version: 5,
     enabled: false,
     stage1Api: 'google',
     stage1Model: 'gemini-2.5-flash-lite',
-    stage2Api: '',
-    stage2Model: '',
+    stage1Temperature: 0.3,
+    stage1MaxTokens: 1024,
+    stage1Timeout: 30,
+    stage1BackupApi: '',
+    stage1BackupModel: '',
+    fallbackChain: [
+        { step: 'retry', enabled: true },
+        { step: 'backup', enabled: false },
+        { step: 'local', enabled: true },
+        { step: 'none', enabled: true },
+    ],
+    selectionBackend: 'llm',
+    localBackend: 'keywords',
+    keywordTopK: 3,
+    similarityThreshold: 0.05,
     analysisPromptTemplate: '',
-    lorebookFile: '',
+    lorebooks: [],
     contextDepth: 5,
+    contextDepthMode: 'messages',
+    contextTokenBudget: 1500,
+    historyExcludeHidden: true,
+    historyExcludeSystem: true,
+    historyExcludeNarrator: false,
+    activationBackend: 'native',
+    outputFormat: 'tags',
+    registrySource: 'firstLine',
+    registryChars: 120,
+    registryGroupByCategory: false,
+    registryTokenBudget: 0,
+    maxValidationRetries: 2,
     smartRegeneration: true,
-    debugMode: false
+    generationTypeActions: {
+        normal: 'analyze',
+        continue: 'reuse',
+        impersonate: 'skip',
+        quiet: 'skip',
+        swipe: 'reuse',
+        regenerate: 'reuse',
+    },
+    analyzeEveryNTurns: 1,
+    diversityRecencyBias: true,
+    diversityLookback: 5,
+    skipLastSpeaker: 'none',
+    speculativeAnalysis: 'off',
+    stages: [],
+    groupOtherMembers: true,
+    analysisTokenBudget: 0,
+    usageByModel: {},
+    forwardAnalysis: 'off',
+    forwardPosition: 'chat',
+    forwardDepth: 1,
+    forwardRole: 'system',
+    debugMode: false,
+    profiles: {},
+});
+
+// Emitted through SillyTavern's eventSource. Payloads are copies, so listeners cannot change the pipeline's state.
+const PIPELINE_EVENTS = Object.freeze({
+    ANALYSIS_STARTED: 'pseudobbl_analysis_started',
+    ANALYSIS_COMPLETED: 'pseudobbl_analysis_completed',
+    ANALYSIS_FAILED: 'pseudobbl_analysis_failed',
+    ENTRIES_ACTIVATED: 'pseudobbl_entries_activated',
+    PIPELINE_SKIPPED: 'pseudobbl_pipeline_skipped',
 });
 
+const FALLBACK_STEP_LABELS = Object.freeze({
+    retry: 'Retry the same model',
+    backup: 'Try the backup model',
+    local: 'Local selection (no model)',
+    none: 'Generate without dynamic prompts',
+});
+
+// Settings that a profile bundles. Everything else stays global.
+const PROFILE_KEYS = Object.freeze([
+    'selectionBackend',
+    'stage1Api',
+    'stage1Model',
+    'stage1Temperature',
+    'stage1MaxTokens',
+    'lorebooks',
+    'analysisPromptTemplate',
+    'contextDepth',
+    'contextDepthMode',
+    'contextTokenBudget',
+    'outputFormat',
+    'maxValidationRetries',
+    'registrySource',
+    'registryChars',
+    'registryGroupByCategory',
+    'registryTokenBudget',
+    'stages',
+]);
+
 const DEFAULT_ANALYSIS_PROMPT = `#Context[Agentic]{
 Agent 1: You
 Role: User prompt analysis and response planning
@@ -51,7 +254,7 @@ Outputs: Prose/dialogue
 # Instructions
 1.  **Analyze Context:** Carefully read the "Registry" and the "Recent Context" / "Character Info" provided below.
 2.  **Reasoning:** First, provide a brief, high-level analysis of the current narrative state. Explain which reasoning steps are most crucial for the next AI response and why.
-3.  **Final Output:** Conclude your entire response with a single, specific line containing only the UIDs you have selected. This line MUST be in the exact format: \`<UIDs>X,Y,Z</UIDs>\`. Do not include any other text after this tag.
+3.  **Final Output:** Conclude your entire response with a single, specific line containing only the UIDs you have selected. Use the full UIDs exactly as written in the Registry (e.g. \`style:12\`). This line MUST be in the exact format: \`<UIDs>a:X,b:Y,c:Z</UIDs>\`. Do not include any other text after this tag.
 # Recent Context
 {{history}}
 
@@ -62,6 +265,149 @@ Outputs: Prose/dialogue
 {{registry}}
 }`;
 
+const JSON_OUTPUT_INSTRUCTIONS = `# Output Format
+Ignore any earlier instruction to end with a <UIDs> tag. Respond with a single JSON object and nothing else, in exactly this shape:
+{"selected": [{"uid": "style:12", "rationale": "Why this reasoning step fits the next response.", "confidence": 0.8}]}
+Every "uid" must be one of the full UIDs listed in the Registry. "confidence" is a number between 0 and 1.`;
+
+const PLAN_INSTRUCTIONS = `# Plan
+Before the final <UIDs> line, write a short beat outline for the next response inside <Plan></Plan> tags. It will be handed to the writer together with the selected steps.`;
+
+const PLAN_INSTRUCTIONS_JSON = `# Plan
+Add a "plan" string to the JSON object with a short beat outline for the next response. It will be handed to the writer together with the selected steps.`;
+
+const STAGE_PRESETS = Object.freeze({
+    blank: {
+        name: 'New Stage',
+        output: 'inject',
+        promptTemplate: `Recent conversation:
+{{history}}`,
+    },
+    continuity: {
+        name: 'Continuity Checker',
+        output: 'inject',
+        promptTemplate: `You are a continuity checker for a roleplay story. Read the recent conversation and list the facts the next response must stay consistent with: injuries, locations, time of day, items, promises and unresolved threads. Use at most five short bullet points and output nothing else.
+
+Character:
+{{character}}
+
+Recent conversation:
+{{history}}`,
+    },
+    planner: {
+        name: 'Planner',
+        output: 'inject',
+        promptTemplate: `You are planning the next response in a roleplay story. The analysis agent selected these writing guidelines:
+{{selection}}
+
+Its reasoning:
+{{analysis}}
+
+Recent conversation:
+{{history}}
+
+Write a beat outline of three to five beats for the next response that follows the selected guidelines. Output only the outline.`,
+    },
+});
+
+// Stage variable names are passed to /setvar unquoted.
+const STAGE_VARIABLE_PATTERN = /^[\w.-]+$/;
+
+const DIVERSITY_INSTRUCTIONS = `# Previous Attempts
+This response is being regenerated. Earlier attempts used the selections listed below. Choose a noticeably different mix of entries so the new attempt takes another direction. Keep an entry from an earlier attempt only if the scene clearly requires it.`;
+
+/**
+ * @typedef {object} AnalysisResult
+ * @property {string[]} ids File-qualified selection IDs, e.g. `style:12`.
+ * @property {Object<string, string>} rationales
+ * @property {Object<string, number>} confidence
+ * @property {string} raw
+ * @property {string} reasoning The model's reasoning output, or the analysis text before the <UIDs> tag.
+ * @property {string} [plan] Contents of the agent's <Plan> section or JSON "plan" field.
+ * @property {SelectionAdjustment[]} [adjustments] Changes made by the selection rules.
+ * @property {Object<string, string>} [names] Entry names of the final selection.
+ * @property {{ length: number, fingerprint: string }} [basis] The chat prefix the analysis was based on.
+ * @property {string|null} [speaker] Avatar of the group member the analysis was made for.
+ * @property {Object<string, { name: string, text: string, ids?: string[] }>} [stageOutputs] Extra stage outputs keyed by stage ID.
+ * @property {string} [fallback] The fallback step that produced this result, if Stage 1 failed.
+ * @property {string} [api]
+ * @property {string} [model]
+ * @property {number} [timestamp]
+ */
+
+/**
+ * @typedef {object} SelectionAdjustment
+ * @property {'cooldown'|'exclusive'|'alwaysActive'|'max'|'min'|'pinned'|'excluded'} rule
+ * @property {'added'|'dropped'} action
+ * @property {string} id
+ * @property {string} detail
+ */
+
+/**
+ * Accumulated usage for a chat or a Stage 1 model.
+ * @typedef {object} UsageBucket
+ * @property {number} runs Completed analyses.
+ * @property {number} calls Stage 1 requests, including retries and fallbacks.
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number} stage1Ms
+ * @property {number} entryTokens Tokens the activated entries added to Stage 2.
+ * @property {number} generations
+ * @property {number} generationMs
+ */
+
+/**
+ * Stage 1 requests made during one analysis. Token counts are filled in
+ * asynchronously; `pending` settles once they are.
+ * @typedef {object} AnalysisUsage
+ * @property {{ api: string, model: string, promptTokens: number, responseTokens: number, ms: number }[]} requests
+ * @property {Promise<void>[]} pending
+ * @property {boolean} [skipChatTotals] Leave the open chat's totals untouched, for requests not made for the chat.
+ * @property {Promise<void>} [finished] Settles once the analysis' accounting is done.
+ */
+
+/**
+ * A background analysis started before the user sends.
+ * @typedef {object} Speculation
+ * @property {number} length Chat length the analysis was based on.
+ * @property {string} fingerprint
+ * @property {string} draft Unsent user text included in the history, empty for none.
+ * @property {AbortController} controller
+ * @property {Promise<AnalysisResult|null>} promise Resolves to null if the analysis failed.
+ * @property {RunRecord} run
+ * @property {AnalysisUsage} usage Kept out of the chat totals until the speculation is used.
+ * @property {boolean} [discarded]
+ */
+
+/**
+ * Structured record of one pipeline run, shown in the run inspector.
+ * @typedef {object} RunRecord
+ * @property {number} id
+ * @property {string} trigger Generation type, `dry-run` or `speculative`.
+ * @property {number} timestamp
+ * @property {'running'|'ok'|'cached'|'speculative'|'failed'|'cancelled'|'discarded'} status `discarded` for speculations that were never used.
+ * @property {string} [error]
+ * @property {string} prompt Fully rendered analysis prompt.
+ * @property {string} response Raw agent response.
+ * @property {string} reasoning
+ * @property {{ id: string, name: string, rationale?: string }[]} selections
+ * @property {SelectionAdjustment[]} adjustments
+ * @property {string} [fallback]
+ * @property {{ backend: string, confirmed: string[]|null, missing: string[]|null }} activation
+ *   `confirmed`/`missing` stay null until the world info scan reports back.
+ * @property {{ stage1: { api: string, model: string }, stage2: { api: string, model: string } }} models
+ * @property {{ name: string, prompt: string, response: string, ms: number, error?: string }[]} stages Extra stages.
+ * @property {{ prompt: number, response: number, entries: number, calls: number, stagePrompt: number, stageResponse: number, stageCalls: number }} tokens
+ *   Stage 1 prompt and response tokens summed over all requests, the tokens the activated entries
+ *   add to Stage 2, and the prompt and response tokens of the extra stages.
+ * @property {{ analysis?: number, stage1?: number, stages?: number, activation?: number, generation?: number }} timings
+ *   Milliseconds per stage; `stage1` is the time spent waiting on the analysis model.
+ * @property {boolean} [imported]
+ * @property {number} [generationStart] Set while the generation is running.
+ */
+
+const MAX_RUN_RECORDS = 50;
+
 const API_TO_SELECTOR_MAP = Object.freeze({
     'openai': '#model_openai_select',
     'claude': '#model_claude_select',
@@ -81,26 +427,83 @@ const API_TO_SELECTOR_MAP = Object.freeze({
     'nanogpt': '#model_nanogpt_select',
 });
 
+// Maps the /api names used above to the chat_completion_source values the backend expects.
+const API_TO_SOURCE_MAP = Object.freeze({
+    'openai': 'openai',
+    'claude': 'claude',
+    'google': 'makersuite',
+    'vertex-ai': 'vertexai',
+    'openrouter': 'openrouter',
+    'mistral': 'mistralai',
+    'groq': 'groq',
+    'cohere': 'cohere',
+    'ai21': 'ai21',
+    'perplexity': 'perplexity',
+    'deepseek': 'deepseek',
+    'aiml': 'aimlapi',
+    'xai': 'xai',
+    '01-ai': '01ai',
+    'pollinations': 'pollinations',
+    'nanogpt': 'nanogpt',
+});
+
 
 // ============================================================================
 //  IMPORTS & MODULE-LEVEL VARIABLES
 // ============================================================================
 //
-import { eventSource, event_types, saveSettings } from '/script.js';
+import { eventSource, event_types, saveSettings, saveSettingsDebounced } from '/script.js';
 import { extension_settings, getContext } from '/scripts/extensions.js';
 import { callGenericPopup, POPUP_TYPE } from '/scripts/popup.js';
+import { ChatCompletionService } from '/scripts/custom-request.js';
+import { SlashCommandParser } from '/scripts/slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '/scripts/slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '/scripts/slash-commands/SlashCommandArgument.js';
 
 let pipelineState = {
     isReady: false,
     isRunning: false,
     cachedAnalysis: null,
     debugLog: [],
-    isRestoring: false,
     lastActivity: Date.now(),
-    dependenciesMet: false,
+    lalibAvailable: false,
+    pendingActivation: null,
+    activeProfile: { name: null, source: 'global' },
+    pendingAnalysis: null,
+    abortController: null,
+    generationType: null,
+    isGenerating: false,
+    draftedCharacterId: null,
+    stageInjections: [],
+    lastPromptTokens: 0,
+    budgetWarned: false,
+    lastGenerationQuiet: false,
+    /** @type {Speculation|null} */
+    speculation: null,
+    /** @type {RunRecord[]} */
+    runs: [],
+    /** @type {RunRecord|null} */
+    currentRun: null,
 };
-let userOriginalSettings = { api: null, model: null };
 let debounceTimer;
+let speculationTimer;
+
+/**
+ * Adds entries from other sources to the registry. Each returned entry needs the
+ * `world` (lorebook file) and `uid` it activates, and may carry `comment`, `content`,
+ * `key` and the other world info fields.
+ * @typedef {(context: { endIndex?: number, entries: object[] }) => object[]|Promise<object[]>} RegistryContributor
+ */
+/** @type {Map<string, RegistryContributor>} */
+const registryContributors = new Map();
+
+/**
+ * Adjusts a finished selection after the selection rules. Returns the new list of
+ * selection IDs, or nothing to keep the selection as it is.
+ * @typedef {(analysis: AnalysisResult, context: { entries: object[], endIndex?: number }) => string[]|void|Promise<string[]|void>} SelectionFilter
+ */
+/** @type {Map<string, SelectionFilter>} */
+const selectionFilters = new Map();
 
 
 // ============================================================================
@@ -109,16 +512,134 @@ let debounceTimer;
 
 function getSettings() {
     if (!extension_settings[EXTENSION_NAME]) {
-        extension_settings[EXTENSION_NAME] = { ...defaultSettings };
+        extension_settings[EXTENSION_NAME] = structuredClone(defaultSettings);
     }
     for (const key of Object.keys(defaultSettings)) {
         if (!Object.hasOwn(extension_settings[EXTENSION_NAME], key)) {
-            extension_settings[EXTENSION_NAME][key] = defaultSettings[key];
+            extension_settings[EXTENSION_NAME][key] = structuredClone(defaultSettings[key]);
         }
     }
+    if (extension_settings[EXTENSION_NAME].version < defaultSettings.version) {
+        migrateSettings(extension_settings[EXTENSION_NAME]);
+    }
     return extension_settings[EXTENSION_NAME];
 }
 
+function migrateSettings(settings) {
+    if (settings.version < 4) {
+        if (settings.lorebookFile) settings.lorebooks = [createLorebookConfig(settings.lorebookFile, [])];
+        delete settings.lorebookFile;
+        delete settings.stage2Api;
+        delete settings.stage2Model;
+    }
+    if (settings.version < 5) {
+        settings.fallbackChain.forEach(item => {
+            if (item.step === 'keywords') item.step = 'local';
+        });
+    }
+    settings.version = defaultSettings.version;
+    saveSettings();
+}
+
+function createLorebookConfig(name, existing) {
+    const base = name.toLowerCase().replace(/\.json$/, '').replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'book';
+    let alias = base;
+    for (let i = 2; existing.some(book => book.alias === alias); i++) alias = `${base}-${i}`;
+    return { name, alias, enabled: true, rules: structuredClone(DEFAULT_SELECTION_RULES) };
+}
+
+/**
+ * Returns the settings the pipeline should run with: the global settings with the
+ * active profile's keys layered on top.
+ * @returns {Settings}
+ */
+function getPipelineSettings() {
+    const settings = getSettings();
+    const profile = settings.profiles[pipelineState.activeProfile.name];
+    return profile ? { ...settings, ...profile } : settings;
+}
+
+function setPipelineSetting(key, value) {
+    const settings = getSettings();
+    const profile = settings.profiles[pipelineState.activeProfile.name];
+    (profile && PROFILE_KEYS.includes(key) ? profile : settings)[key] = value;
+    saveSettings();
+}
+
+function getChatState() {
+    const metadata = getContext().chatMetadata;
+    if (!metadata) return {};
+    metadata[EXTENSION_NAME] ??= {};
+    return metadata[EXTENSION_NAME];
+}
+
+/**
+ * The character about to speak: the member drafted by the group in group chats, the
+ * open character otherwise.
+ */
+function getSpeakerCharacter() {
+    const context = getContext();
+    const id = context.groupId ? pipelineState.draftedCharacterId : context.characterId;
+    return id === null || id === undefined ? null : context.characters?.[id] ?? null;
+}
+
+/** Avatar of the drafted group member, used to keep analyses apart per speaker. Null outside groups. */
+function getSpeakerKey() {
+    return getContext().groupId ? getSpeakerCharacter()?.avatar ?? null : null;
+}
+
+function getGroupMembers() {
+    const context = getContext();
+    const group = context.groups?.find(item => item.id === context.groupId);
+    return (group?.members || []).map(avatar => context.characters?.find(character => character.avatar === avatar)).filter(Boolean);
+}
+
+function getCharacterProfileBinding() {
+    return getSpeakerCharacter()?.data?.extensions?.[EXTENSION_NAME]?.profile || null;
+}
+
+/**
+ * Picks the profile for the current chat: in group chats a binding for the drafted
+ * member wins, then a chat binding, then the speaking character's binding. A chat or
+ * member bound to an empty name explicitly uses the global settings.
+ */
+function resolveActiveProfile() {
+    const settings = getSettings();
+    const chatState = getChatState();
+    const speakerKey = getSpeakerKey();
+    const memberBinding = speakerKey ? chatState.memberProfiles?.[speakerKey] : undefined;
+    const chatBinding = chatState.profile;
+    const characterBinding = getCharacterProfileBinding();
+    let active = { name: null, source: 'global' };
+    if (typeof memberBinding === 'string') active = { name: memberBinding || null, source: 'member' };
+    else if (typeof chatBinding === 'string') active = { name: chatBinding || null, source: 'chat' };
+    else if (characterBinding) active = { name: characterBinding, source: 'character' };
+    if (active.name && !settings.profiles[active.name]) {
+        log(`Bound profile "${active.name}" no longer exists, using global settings.`, active);
+        active = { name: null, source: 'global' };
+    }
+    pipelineState.activeProfile = active;
+    log('Active profile resolved', active);
+    return active;
+}
+
+function parseSelectionId(id) {
+    const separator = id.lastIndexOf(':');
+    if (separator === -1) return null;
+    const uid = parseInt(id.slice(separator + 1));
+    const alias = id.slice(0, separator);
+    const fileName = getPipelineSettings().lorebooks.find(item => item.alias === alias)?.name ?? getContributedWorld(alias);
+    if (!fileName || isNaN(uid)) return null;
+    return { id, fileName, uid };
+}
+
+/** Contributed entries use `<contributor>/<world>` as their alias. */
+function getContributedWorld(alias) {
+    const separator = alias.indexOf('/');
+    if (separator === -1 || !registryContributors.has(alias.slice(0, separator))) return null;
+    return alias.slice(separator + 1) || null;
+}
+
 function log(message, data = null) {
     const timestamp = new Date().toLocaleTimeString();
     const logEntry = { timestamp, message, data };
@@ -127,6 +648,63 @@ function log(message, data = null) {
     if (getSettings().debugMode) console.log(`${LOG_PREFIX} ${message}`, data || '');
 }
 
+function emitPipelineEvent(name, payload) {
+    try {
+        Promise.resolve(eventSource.emit(name, structuredClone(payload)))
+            .catch(error => log(`A listener for "${name}" failed.`, { error: error.message }));
+    } catch (error) {
+        log(`Event "${name}" could not be emitted.`, { error: error.message });
+    }
+}
+
+/**
+ * Starts a new run record and makes it the current run.
+ * @param {string} trigger
+ * @returns {RunRecord}
+ */
+function startRunRecord(trigger) {
+    const previous = pipelineState.runs[pipelineState.runs.length - 1];
+    const run = {
+        id: (previous?.id ?? 0) + 1,
+        trigger,
+        timestamp: Date.now(),
+        status: 'running',
+        prompt: '',
+        response: '',
+        reasoning: '',
+        selections: [],
+        adjustments: [],
+        activation: { backend: getActivationBackend(), confirmed: null, missing: null },
+        models: { stage1: { api: '', model: '' }, stage2: getActiveConnection() },
+        stages: [],
+        tokens: { prompt: 0, response: 0, entries: 0, calls: 0, stagePrompt: 0, stageResponse: 0, stageCalls: 0 },
+        timings: {},
+    };
+    pipelineState.runs.push(run);
+    if (pipelineState.runs.length > MAX_RUN_RECORDS) pipelineState.runs.shift();
+    pipelineState.currentRun = run;
+    return run;
+}
+
+/**
+ * Copies an analysis result into a run record.
+ * @param {RunRecord} run
+ * @param {AnalysisResult} analysis
+ */
+function recordAnalysis(run, analysis) {
+    run.response = analysis.raw;
+    run.reasoning = analysis.reasoning;
+    run.adjustments = analysis.adjustments || [];
+    run.fallback = analysis.fallback;
+    run.models.stage1 = { api: analysis.api || '', model: analysis.model || '' };
+    run.tokens.entries = analysis.entryTokens ?? 0;
+    run.selections = analysis.ids.map(id => ({
+        id,
+        name: analysis.names?.[id] || '',
+        rationale: analysis.rationales[id],
+    }));
+}
+
 function showDebugLog() {
     const logContent = pipelineState.debugLog
         .map(entry => `[${entry.timestamp}] ${entry.message}` + (entry.data ? `\n  Data: ${JSON.stringify(entry.data, null, 2)}` : ''))
@@ -137,22 +715,35 @@ function showDebugLog() {
 }
 
 function checkDependencies() {
-    if (typeof window.LALib === 'undefined') {
-        log('Dependency check failed: LALib is not available.');
-        pipelineState.dependenciesMet = false;
-        return false;
+    pipelineState.lalibAvailable = typeof window.LALib !== 'undefined';
+    log(pipelineState.lalibAvailable ? 'LALib detected, available as an activation backend.' : 'LALib not found, only native activation is available.');
+    return pipelineState.lalibAvailable;
+}
+
+function getActivationBackend() {
+    const backend = getSettings().activationBackend;
+    if (backend === 'lalib' && !pipelineState.lalibAvailable) {
+        log('LALib backend selected but LALib is not available, falling back to native activation.');
+        return 'native';
     }
-    log('All dependencies are met.');
-    pipelineState.dependenciesMet = true;
-    return true;
+    return backend;
+}
+
+function getActiveConnection() {
+    const context = getContext();
+    return {
+        api: context.chatCompletionSettings?.chat_completion_source || context.mainApi || 'N/A',
+        model: context.onlineStatus && context.onlineStatus !== 'no_connection' ? context.onlineStatus : 'Not Connected',
+    };
 }
 
 function updateApiDisplay(stage) {
-    const settings = getSettings();
+    const settings = getPipelineSettings();
     const display = document.getElementById(`ps_${stage}ApiDisplay`);
     if (display) {
-        const api = settings[`${stage}Api`] || 'N/A';
-        const model = settings[`${stage}Model`] || 'Not Set';
+        const { api, model } = stage === 'stage2'
+            ? getActiveConnection()
+            : { api: settings[`${stage}Api`] || 'N/A', model: settings[`${stage}Model`] || 'Not Set' };
         const displayName = api.charAt(0).toUpperCase() + api.slice(1);
         display.textContent = `${displayName} / ${model}`;
         display.title = `${displayName} / ${model}`;
@@ -166,419 +757,3494 @@ function parseUIDs(text) {
         return [];
     }
     return match[1].split(',')
-        .map(n => parseInt(n.trim()))
-        .filter(n => !isNaN(n));
+        .map(token => token.trim())
+        .filter(Boolean);
 }
 
+/**
+ * Maps a token from the agent's reply to a registry ID. Bare integers are accepted
+ * when they match exactly one entry, which keeps single-lorebook prompts working.
+ */
+function resolveSelectionId(token, entries) {
+    const normalized = token.toLowerCase();
+    if (normalized.includes(':')) return entries.find(entry => entry.id.toLowerCase() === normalized)?.id ?? null;
+    const uid = parseInt(normalized);
+    const matches = entries.filter(entry => entry.uid === uid);
+    return matches.length === 1 ? matches[0].id : null;
+}
 
-// ============================================================================
-//  API & CORE FUNCTIONS
-// ============================================================================
+function resolveSelectionIds(tokens, entries) {
+    const unknown = tokens.filter(token => !resolveSelectionId(token, entries));
+    if (unknown.length > 0) log('Dropped UIDs that do not exist in the registry or are ambiguous.', { unknown });
+    return [...new Set(tokens.map(token => resolveSelectionId(token, entries)).filter(Boolean))];
+}
 
-async function populateLorebookOptions() {
-    log('Fetching lorebook list...');
-    const selectElement = document.getElementById('ps_lorebookFile');
-    if (!selectElement) return;
+function parseStructuredResponse(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) return { selections: null, errors: ['No JSON object was found in the reply.'] };
+    let data;
     try {
-        const response = await fetch('/api/worldinfo/list', { method: 'POST' });
-        if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
-        const lorebooks = await response.json();
-        selectElement.innerHTML = '<option value="">-- Select a lorebook file --</option>';
-        if (lorebooks && lorebooks.length > 0) {
-            lorebooks.forEach(book => {
-                const option = document.createElement('option');
-                option.value = book.name;
-                option.textContent = book.name;
-                selectElement.appendChild(option);
-            });
-            log(`Successfully populated ${lorebooks.length} lorebooks.`);
-        } else {
-            log('No lorebooks found.');
-        }
-        selectElement.value = getSettings().lorebookFile || '';
+        data = JSON.parse(cleaned.slice(start, end + 1));
     } catch (error) {
-        log('Failed to fetch or populate lorebook list.', { error: error.message });
-        selectElement.innerHTML = '<option value="">-- Error loading lorebooks --</option>';
+        return { selections: null, errors: [`The JSON could not be parsed: ${error.message}`] };
+    }
+    if (!Array.isArray(data?.selected)) return { selections: null, errors: ['The JSON object must contain a "selected" array.'] };
+    const errors = [];
+    const selections = [];
+    for (const item of data.selected) {
+        const uid = String(item?.uid ?? '').trim();
+        if (!uid) {
+            errors.push(`Selection ${JSON.stringify(item)} has no "uid".`);
+            continue;
+        }
+        const confidence = parseFloat(item.confidence);
+        selections.push({ uid, rationale: String(item.rationale || ''), confidence: isNaN(confidence) ? null : confidence });
     }
+    return { selections, errors, plan: typeof data.plan === 'string' ? data.plan.trim() : '' };
 }
 
-async function getLorebookRegistry(fileName) {
-    log(`Fetching content for lorebook: "${fileName}"`);
-    if (!fileName) return '[ERROR: No lorebook file selected in settings.]';
-    try {
-        const response = await fetch('/api/worldinfo/get', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name: fileName }),
-        });
-        if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
-        const lorebookData = await response.json();
-        const entries = lorebookData?.entries;
-        if (!entries || entries.length === 0) return '[NOTICE: Selected lorebook is empty or has no entries.]';
-        const registryLines = entries.map(entry => {
-            const promptName = entry.comment || 'Untitled Entry';
-            const firstLine = (entry.content || '').split('\n').find(line => line.trim() !== '') || '...';
-            return `[UID: ${entry.uid}] ${promptName} - ${firstLine.trim()}`;
-        });
-        log(`Successfully built registry with ${registryLines.length} entries.`);
-        return registryLines.join('\n');
-    } catch (error) {
-        log('Failed to fetch or process lorebook content.', { error: error.message });
-        return `[CRITICAL ERROR: Failed to load content for "${fileName}". Check console.]`;
-    }
+function extractPlan(text) {
+    return text.match(/<Plan>(.*?)<\/Plan>/s)?.[1]?.trim() || '';
 }
 
-async function showModelSelectorPopup(stage) {
-    const settings = getSettings();
-    const stageUpper = stage === 'stage1' ? 'Stage 1 (Analysis)' : 'Stage 2 (Generation)';
-    const currentApi = settings[`${stage}Api`] || 'openai';
-    const currentModel = settings[`${stage}Model`];
-    const popupContent = document.createElement('div');
-    popupContent.innerHTML = `
-        <div style="margin-bottom: 10px;"><label for="ps-popup-api-select">API Provider:</label><select id="ps-popup-api-select" class="text_pole"></select></div>
-        <div><label for="ps-popup-model-select">Model:</label><select id="ps-popup-model-select" class="text_pole"></select></div>`;
-    const apiSelect = popupContent.querySelector('#ps-popup-api-select');
-    const modelSelect = popupContent.querySelector('#ps-popup-model-select');
-    Object.keys(API_TO_SELECTOR_MAP).forEach(name => {
-        const option = document.createElement('option');
-        option.value = name;
-        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
-        apiSelect.appendChild(option);
-    });
-    apiSelect.value = currentApi;
-    const populateModels = (api) => {
-        modelSelect.innerHTML = '';
-        const selectorId = API_TO_SELECTOR_MAP[api];
-        if (!selectorId) return;
-        const sourceSelect = document.querySelector(selectorId);
-        if (sourceSelect && sourceSelect.options.length > 0) {
-            Array.from(sourceSelect.options).forEach(option => {
-                if (option.value) modelSelect.appendChild(option.cloneNode(true));
-            });
-            modelSelect.value = currentModel;
-            if (!modelSelect.value && modelSelect.options.length > 0) modelSelect.selectedIndex = 0;
-        } else {
-            modelSelect.innerHTML = '<option value="">-- No models found --</option>';
-        }
-    };
-    populateModels(currentApi);
-    apiSelect.onchange = () => populateModels(apiSelect.value);
-    if (await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, `Select Model for ${stageUpper}`)) {
-        if (modelSelect.value) {
-            settings[`${stage}Api`] = apiSelect.value;
-            settings[`${stage}Model`] = modelSelect.value;
-            saveSettings();
-            updateApiDisplay(stage);
-            window.toastr.success(`Model for ${stageUpper} saved.`);
-            log(`Saved model for ${stage}:`, { api: apiSelect.value, model: modelSelect.value });
-        } else {
-            window.toastr.warning(`No model selected. Settings for ${stageUpper} remain unchanged.`, LOG_PREFIX);
-        }
-    }
+// ============================================================================
+//  ANALYSIS CACHE
+// ============================================================================
+//
+// Analyses are stored in the chat metadata, keyed by the index of the message
+// they were computed for and then by swipe ID, so they survive reloads and
+// follow swipes.
+
+function getAnalysisStore() {
+    const chatState = getChatState();
+    chatState.analyses ??= {};
+    return chatState.analyses;
 }
 
-function getRecentChatMessages(depth) {
-    try {
-        const chat = document.getElementById('chat');
-        if (!chat) return 'No chat history available.';
-        const messages = Array.from(chat.querySelectorAll('.mes')).slice(-depth);
-        const formattedMessages = messages.map(msg => {
-            const name = msg.querySelector('.ch_name')?.textContent?.trim() || 'Unknown';
-            const text = msg.querySelector('.mes_text')?.textContent?.trim() || '';
-            return `${name}: ${text}`;
-        }).filter(Boolean);
-        return formattedMessages.length > 0 ? formattedMessages.join('\n') : 'No recent messages found.';
-    } catch (error) {
-        log('Error getting chat messages', { error: error.message });
-        return 'Error retrieving chat history.';
-    }
+/**
+ * Returns the stored analysis for a message, preferring the given swipe and
+ * otherwise the most recent one computed for that message. Analyses whose
+ * history has changed since are ignored.
+ * @returns {AnalysisResult|null}
+ */
+function getCachedAnalysis(messageIndex, swipeId) {
+    const records = getAnalysisStore()[messageIndex];
+    if (!records) return null;
+    if (records[swipeId]) return isAnalysisCurrent(records[swipeId]) ? records[swipeId] : null;
+    return Object.values(records)
+        .filter(isAnalysisCurrent)
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))[0] || null;
 }
 
-function getCharacterData() {
-    try {
-        const context = getContext();
-        if (!context || !context.characterId || !context.characters) return "No character loaded.";
-        const character = context.characters[context.characterId];
-        if (!character) return "Could not find character data.";
-        let profile = `Name: ${character.name || 'Unnamed'}\n`;
-        if (character.description) profile += `Description: ${character.description}\n`;
-        if (character.personality) profile += `Personality: ${character.personality}\n`;
-        return profile.trim();
-    } catch (error) {
-        log('Error getting character data', { error: error.message });
-        return 'Error retrieving character data.';
+/**
+ * Hashes the first `length` chat messages. An analysis stores the fingerprint of the
+ * history it was built from, so later edits, deletions or branches can be detected.
+ */
+function getHistoryFingerprint(length) {
+    const chat = (getContext().chat || []).slice(0, length);
+    const text = chat.map(message => `${message.is_user ? 1 : 0}|${message.is_system ? 1 : 0}|${message.name}|${message.mes}`).join('\u0000');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return `${chat.length}:${(hash >>> 0).toString(16)}`;
 }
 
-async function applyModelEnvironment(stage) {
-    const settings = getSettings();
-    let api, model;
-    if (stage === 'stage2' && (!settings.stage2Api || !settings.stage2Model)) {
-        api = userOriginalSettings.api;
-        model = userOriginalSettings.model;
-        log('Stage 2 settings are empty, using user\'s original settings.');
-    } else {
-        api = settings[`${stage}Api`];
-        model = settings[`${stage}Model`];
-    }
-    if (!api || !model) throw new Error(`Missing API or Model for ${stage}. Cannot proceed.`);
-    log(`Applying ${stage} environment`, { api, model });
-    const commands = [`/api ${api}`, `/model "${model}"`];
-    const result = await getContext().executeSlashCommandsWithOptions(commands.join(' | '), { showOutput: false, handleExecutionErrors: true });
-    if (result?.isError) throw new Error(`Failed to apply ${stage} environment: ${result.errorMessage}`);
+/** Whether the history an analysis was built from is unchanged. Older analyses without a basis are trusted. */
+function isAnalysisCurrent(analysis) {
+    return !analysis.basis || getHistoryFingerprint(analysis.basis.length) === analysis.basis.fingerprint;
 }
 
-async function restoreUserSettings() {
-    if (!userOriginalSettings.api || !userOriginalSettings.model || pipelineState.isRestoring) return;
-    pipelineState.isRestoring = true;
-    try {
-        log('Restoring user settings...', { ...userOriginalSettings });
-        const commands = [`/api ${userOriginalSettings.api}`, `/model "${userOriginalSettings.model}"`];
-        await getContext().executeSlashCommandsWithOptions(commands.join(' | '), { showOutput: false, handleExecutionErrors: true });
-        userOriginalSettings.api = null;
-        userOriginalSettings.model = null;
-        log('User settings restored successfully.');
-    } catch (error) {
-        log('Settings restoration failed', { error: error.message });
-    } finally {
-        pipelineState.isRestoring = false;
+/**
+ * The analysis used most recently before `endIndex` for the current speaker: the
+ * in-memory one, or else the stored analysis of the nearest earlier AI message.
+ * @returns {AnalysisResult|null}
+ */
+function getLastAnalysis(endIndex) {
+    if (pipelineState.cachedAnalysis && !isAnalysisCurrent(pipelineState.cachedAnalysis)) {
+        log('The in-memory analysis is based on a history that has changed, discarding it.');
+        pipelineState.cachedAnalysis = null;
+    }
+    // In group chats only the current speaker's analyses can be reused.
+    const speaker = getSpeakerKey();
+    const matchesSpeaker = (analysis) => (analysis.speaker ?? null) === speaker;
+    if (pipelineState.cachedAnalysis && matchesSpeaker(pipelineState.cachedAnalysis)) return pipelineState.cachedAnalysis;
+    const chat = getContext().chat || [];
+    for (let i = Math.min(endIndex, chat.length) - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message || message.is_user) continue;
+        const analysis = getCachedAnalysis(i, message.swipe_id ?? 0);
+        if (analysis && matchesSpeaker(analysis)) return analysis;
     }
+    return null;
 }
 
-async function applySmartRegeneration() {
-    const lastMessage = document.querySelector('#chat .mes:last-child .mes_text')?.textContent || '';
-    if (!lastMessage) return;
-    const firstSentence = lastMessage.split(/[.!?]/)[0];
-    const regenPrompt = `[System: User has requested a regeneration. Provide an alternative response. Avoid repeating the previous attempt, which started with: "${firstSentence}"]`;
-    await getContext().executeSlashCommandsWithOptions(`/inject id=ps_smart_regen position=after depth=0 ${JSON.stringify(regenPrompt)}`, { showOutput: false });
-    log('Smart regeneration prompt injected.');
+/** Counts the AI messages before `endIndex` that were generated with this analysis. */
+function countTurnsWithAnalysis(analysis, endIndex) {
+    const chat = getContext().chat || [];
+    let turns = 0;
+    for (let i = 0; i < Math.min(endIndex, chat.length); i++) {
+        const message = chat[i];
+        if (!message || message.is_user) continue;
+        if (getCachedAnalysis(i, message.swipe_id ?? 0)?.timestamp === analysis.timestamp) turns++;
+    }
+    return turns;
 }
 
+function storeAnalysis(messageIndex, swipeId, analysis) {
+    const store = getAnalysisStore();
+    store[messageIndex] ??= {};
+    store[messageIndex][swipeId] = analysis;
+    getContext().saveMetadata();
+    log(`Stored analysis for message #${messageIndex}, swipe ${swipeId}.`, { ids: analysis.ids });
+}
 
-// ============================================================================
-//  PIPELINE ORCHESTRATION
-// ============================================================================
+/**
+ * Removes cached analyses for every message index matching the predicate.
+ * @param {(index: number) => boolean} predicate
+ * @param {string} reason
+ */
+function invalidateAnalyses(predicate, reason) {
+    const store = getAnalysisStore();
+    const removed = Object.keys(store).filter(index => predicate(Number(index)));
+    if (removed.length === 0) return;
+    removed.forEach(index => delete store[index]);
+    getContext().saveMetadata();
+    log(`Invalidated cached analyses (${reason}).`, { messages: removed });
+}
 
-async function handlePipelineTrigger(data) {
-    const settings = getSettings();
-    const eventType = data?.type || 'generate';
+function bindPendingAnalysis(messageId) {
+    const pending = pipelineState.pendingAnalysis;
+    if (!pending) return;
+    pipelineState.pendingAnalysis = null;
+    const message = getContext().chat?.[messageId];
+    if (!message || message.is_user) return;
+    storeAnalysis(Number(messageId), message.swipe_id ?? 0, pending);
+    attachSelectionToMessage(message, pending);
+}
 
-    if (!settings.enabled || !pipelineState.dependenciesMet || pipelineState.isRunning) {
-        return true;
+/**
+ * Stores a summary of the selection in the message's extra data, and in the extra
+ * data of its current swipe so it follows swipes and survives reloads.
+ * @param {object} message
+ * @param {AnalysisResult} analysis
+ */
+function attachSelectionToMessage(message, analysis) {
+    const selection = {
+        entries: analysis.ids.map(id => ({
+            id,
+            name: analysis.names?.[id] || '',
+            rationale: analysis.rationales[id] || '',
+            confidence: analysis.confidence[id],
+        })),
+        stage1: { api: analysis.api || '', model: analysis.model || '' },
+        stage2: getActiveConnection(),
+        fallback: analysis.fallback,
+        timestamp: Date.now(),
+    };
+    message.extra ??= {};
+    message.extra[EXTENSION_NAME] = selection;
+    const swipeInfo = message.swipe_info?.[message.swipe_id ?? 0];
+    if (swipeInfo) {
+        swipeInfo.extra ??= {};
+        swipeInfo.extra[EXTENSION_NAME] = structuredClone(selection);
+    }
+    getContext().saveChat?.();
+}
+
+function clearChatAnalyses() {
+    getChatState().analyses = {};
+    pipelineState.cachedAnalysis = null;
+    getContext().saveMetadata();
+    log('Analysis cache cleared for the whole chat.');
+}
+
+async function showClearCachePopup() {
+    const cachedMessages = Object.keys(getAnalysisStore());
+    const input = await callGenericPopup(
+        `Cached analyses exist for messages: ${cachedMessages.join(', ') || 'none'}.<br>Enter a message number to clear, or <b>all</b> to clear the whole chat.`,
+        POPUP_TYPE.INPUT,
+        'all',
+    );
+    if (!input) return;
+    const value = String(input).trim().toLowerCase();
+    if (value === 'all') {
+        clearChatAnalyses();
+        window.toastr.info('Analysis cache cleared for this chat.', LOG_PREFIX);
+        return;
+    }
+    const messageIndex = Number(value);
+    if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+        window.toastr.warning('Enter a message number or "all".', LOG_PREFIX);
+        return;
+    }
+    invalidateAnalyses(index => index === messageIndex, 'cleared manually');
+    window.toastr.info(`Analysis cache cleared for message #${messageIndex}.`, LOG_PREFIX);
+}
+
+
+// ============================================================================
+//  USAGE ACCOUNTING
+// ============================================================================
+
+function createUsageBucket() {
+    return { runs: 0, calls: 0, promptTokens: 0, responseTokens: 0, stage1Ms: 0, entryTokens: 0, generations: 0, generationMs: 0 };
+}
+
+/** @returns {UsageBucket} */
+function getChatUsage(chatState = getChatState()) {
+    chatState.usage = { ...createUsageBucket(), ...(chatState.usage || {}) };
+    return chatState.usage;
+}
+
+/** @returns {UsageBucket} */
+function getModelUsage(api, model) {
+    const settings = getSettings();
+    const key = `${api}/${model}`;
+    settings.usageByModel[key] = { ...createUsageBucket(), ...(settings.usageByModel[key] || {}) };
+    return settings.usageByModel[key];
+}
+
+/** @param {UsageBucket} bucket */
+function addUsage(bucket, delta) {
+    for (const [key, value] of Object.entries(delta)) bucket[key] += value;
+}
+
+/**
+ * Counts tokens with the tokenizer SillyTavern uses for the given model, falling back
+ * to the tokenizer of the active connection.
+ */
+async function countModelTokens(messages, model) {
+    try {
+        const response = await fetch(`/api/tokenizers/openai/count?model=${encodeURIComponent(model)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(messages),
+        });
+        if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
+        return (await response.json()).token_count ?? 0;
+    } catch (error) {
+        log('Model tokenizer unavailable, counting with the active tokenizer.', { error: error.message });
+        return getContext().getTokenCountAsync(messages.map(message => message.content).join('\n'));
+    }
+}
+
+/**
+ * Records one Stage 1 request in the run's usage and in the chat and model totals.
+ * Counting happens in the background so it never delays the generation.
+ * @param {AnalysisUsage|undefined} usage
+ */
+function recordStage1Request(usage, { api, model, messages, content, ms }) {
+    const chatState = getChatState();
+    const pending = Promise.all([
+        countModelTokens(messages, model),
+        content ? countModelTokens([{ role: 'assistant', content }], model) : 0,
+    ]).then(([promptTokens, responseTokens]) => {
+        const request = { api, model, promptTokens, responseTokens, ms };
+        usage?.requests.push(request);
+        const delta = { calls: 1, promptTokens, responseTokens, stage1Ms: ms };
+        if (!usage?.skipChatTotals) addUsage(getChatUsage(chatState), delta);
+        addUsage(getModelUsage(api, model), delta);
+        saveSettingsDebounced();
+        renderUsageSummary();
+    }).catch(error => log('Stage 1 request accounting failed', { error: error.message }));
+    usage?.pending.push(pending);
+}
+
+/**
+ * Finishes the accounting of one analysis once its token counts are in: fills the run
+ * record, adds the run to the chat totals and checks the prompt budget.
+ * @param {AnalysisUsage} usage
+ * @param {AnalysisResult} result
+ * @param {object[]} selectedEntries
+ * @param {RunRecord} [run]
+ */
+async function finishAnalysisUsage(usage, result, selectedEntries, run) {
+    const chatState = getChatState();
+    const context = getContext();
+    const entryCounts = await Promise.all(selectedEntries.map(entry => context.getTokenCountAsync(entry.content || '')));
+    await Promise.all(usage.pending);
+    result.entryTokens = entryCounts.reduce((sum, count) => sum + count, 0);
+    if (!usage.skipChatTotals) addUsage(getChatUsage(chatState), { runs: 1, entryTokens: result.entryTokens });
+    if (run) {
+        Object.assign(run.tokens, {
+            prompt: usage.requests.reduce((sum, request) => sum + request.promptTokens, 0),
+            response: usage.requests.reduce((sum, request) => sum + request.responseTokens, 0),
+            entries: result.entryTokens,
+            calls: usage.requests.length,
+        });
+        run.timings.stage1 = usage.requests.reduce((sum, request) => sum + request.ms, 0);
+    }
+    context.saveMetadata();
+    renderUsageSummary();
+}
+
+/**
+ * Counts the rendered analysis prompt and warns, once per chat, when it is over
+ * `analysisTokenBudget`. Runs alongside the request and never blocks the analysis.
+ * @param {string} prompt
+ */
+async function checkAnalysisBudget(prompt) {
+    const settings = getPipelineSettings();
+    const budget = settings.analysisTokenBudget;
+    if (budget <= 0) return;
+    try {
+        const promptTokens = await countModelTokens([{ role: 'user', content: prompt }], settings.stage1Model);
+        pipelineState.lastPromptTokens = promptTokens;
+        renderUsageSummary();
+        if (promptTokens <= budget) return;
+        log(`Analysis prompt is ${promptTokens} tokens, over the budget of ${budget}.`);
+        if (pipelineState.budgetWarned) return;
+        pipelineState.budgetWarned = true;
+        window.toastr.warning(`The analysis prompt is ${promptTokens} tokens, over your budget of ${budget}. Reduce the history depth or the registry size.`, LOG_PREFIX);
+    } catch (error) {
+        log('Could not count the analysis prompt for the budget check', { error: error.message });
+    }
+}
+
+function formatUsageRow(label, bucket) {
+    const average = (total, count) => count > 0 ? Math.round(total / count) : 0;
+    return `<tr>
+        <td class="ps-usage-label"></td>
+        <td>${bucket.calls}</td>
+        <td>${bucket.promptTokens} / ${average(bucket.promptTokens, bucket.calls)}</td>
+        <td>${bucket.responseTokens} / ${average(bucket.responseTokens, bucket.calls)}</td>
+        <td>${average(bucket.stage1Ms, bucket.calls)}</td>
+        <td>${average(bucket.entryTokens, bucket.runs)}</td>
+        <td>${average(bucket.generationMs, bucket.generations)}</td>
+    </tr>`;
+}
+
+function renderUsageSummary() {
+    const container = document.getElementById('ps_usageSummary');
+    if (!container) return;
+    const settings = getSettings();
+    const rows = [['This chat', getChatUsage()], ...Object.entries(settings.usageByModel)];
+    container.innerHTML = `
+        <table class="ps-usage-table">
+            <thead><tr><th></th><th>Calls</th><th>Prompt (total / avg)</th><th>Response (total / avg)</th><th>Stage 1 ms</th><th>Entry tokens</th><th>Stage 2 ms</th></tr></thead>
+            <tbody>${rows.map(([label, bucket]) => formatUsageRow(label, bucket)).join('')}</tbody>
+        </table>`;
+    container.querySelectorAll('.ps-usage-label').forEach((cell, index) => {
+        cell.textContent = rows[index][0];
+    });
+    const warning = document.getElementById('ps_budgetWarning');
+    if (warning) {
+        const tokens = pipelineState.lastPromptTokens;
+        const over = settings.analysisTokenBudget > 0 && tokens > settings.analysisTokenBudget;
+        warning.textContent = over ? `Last analysis prompt: ${tokens} tokens, over the budget of ${settings.analysisTokenBudget}.` : '';
+    }
+}
+
+async function resetUsage() {
+    if (!await callGenericPopup('Reset the usage totals for this chat and for all models?', POPUP_TYPE.CONFIRM)) return;
+    getChatState().usage = createUsageBucket();
+    getSettings().usageByModel = {};
+    getContext().saveMetadata();
+    saveSettings();
+    renderUsageSummary();
+    log('Usage totals reset.');
+}
+
+
+// ============================================================================
+//  SELECTION RULES
+// ============================================================================
+
+/**
+ * Pinned and excluded selection IDs for the current chat. Pins are always activated,
+ * excluded entries never are; both override the lorebook rules.
+ * @returns {{ pins: string[], excludes: string[] }}
+ */
+function getSelectionOverrides() {
+    const state = getChatState();
+    return { pins: state.pins || [], excludes: state.excludes || [] };
+}
+
+/**
+ * Turns `alias:uid`, or a bare uid when only one lorebook is enabled, into a
+ * configured selection ID. Returns null if it does not name a configured lorebook.
+ */
+function normalizeSelectionId(token) {
+    const value = String(token).trim();
+    if (value.includes(':')) return parseSelectionId(value)?.id ?? null;
+    const enabled = getPipelineSettings().lorebooks.filter(book => book.enabled);
+    const uid = parseInt(value);
+    return enabled.length === 1 && !isNaN(uid) ? `${enabled[0].alias}:${uid}` : null;
+}
+
+/**
+ * Adds or removes selection IDs from the chat's pins or exclusions. An ID is never
+ * both pinned and excluded; adding it to one list removes it from the other.
+ * @param {'pins'|'excludes'} list
+ * @param {'add'|'remove'|'clear'} action
+ * @param {string[]} ids Normalized selection IDs.
+ */
+function updateSelectionOverrides(list, action, ids = []) {
+    const state = getChatState();
+    const other = list === 'pins' ? 'excludes' : 'pins';
+    let values = state[list] || [];
+    if (action === 'clear') values = [];
+    else if (action === 'remove') values = values.filter(id => !ids.includes(id));
+    else {
+        values = [...new Set([...values, ...ids])];
+        state[other] = (state[other] || []).filter(id => !ids.includes(id));
+    }
+    state[list] = values;
+    getContext().saveMetadata();
+    log(`Chat ${list} updated (${action}).`, { pins: state.pins || [], excludes: state.excludes || [] });
+}
+
+/** @param {'pinned'|'excluded'|'neutral'} mode */
+function setSelectionOverride(id, mode) {
+    if (mode === 'pinned') updateSelectionOverrides('pins', 'add', [id]);
+    else if (mode === 'excluded') updateSelectionOverrides('excludes', 'add', [id]);
+    else {
+        updateSelectionOverrides('pins', 'remove', [id]);
+        updateSelectionOverrides('excludes', 'remove', [id]);
+    }
+}
+
+function getSelectionRules(book) {
+    return { ...DEFAULT_SELECTION_RULES, ...(book?.rules || {}) };
+}
+
+function getEntryGroups(entry) {
+    return String(entry.group || '').split(',').map(group => group.trim()).filter(Boolean);
+}
+
+function getEntryCooldown(rules, uid) {
+    return Number(rules.cooldowns[uid] ?? rules.defaultCooldown) || 0;
+}
+
+/**
+ * Counts the AI turns since an entry was last selected, using the stored analyses
+ * of earlier messages. Returns Infinity if it was never used.
+ */
+function getTurnsSinceUsed(id, endIndex) {
+    const chat = getContext().chat || [];
+    let turns = 0;
+    for (let i = Math.min(endIndex ?? chat.length, chat.length) - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message || message.is_user || message.is_system) continue;
+        turns++;
+        if (getCachedAnalysis(i, message.swipe_id ?? 0)?.ids?.includes(id)) return turns;
+    }
+    return Infinity;
+}
+
+function isOnCooldown(entry, rules, endIndex) {
+    const cooldown = getEntryCooldown(rules, entry.uid);
+    return cooldown > 0 && getTurnsSinceUsed(entry.id, endIndex) <= cooldown;
+}
+
+/** Explains a lorebook's rules to the agent, appended below its registry lines. */
+function describeSelectionRules(book, entries, endIndex) {
+    const rules = getSelectionRules(book);
+    const lines = [];
+    if (rules.minSelections > 0 || rules.maxSelections > 0) {
+        const range = rules.maxSelections > 0 ? `between ${rules.minSelections} and ${rules.maxSelections}` : `at least ${rules.minSelections}`;
+        lines.push(`- Select ${range} entries from this list.`);
+    }
+    const always = entries.filter(entry => rules.alwaysActive.includes(entry.uid)).map(entry => entry.id);
+    if (always.length > 0) lines.push(`- Always active, do not select: ${always.join(', ')}.`);
+    if (rules.exclusiveGroups) {
+        const groups = {};
+        entries.forEach(entry => getEntryGroups(entry).forEach(group => (groups[group] ??= []).push(entry.id)));
+        Object.entries(groups).filter(([, ids]) => ids.length > 1)
+            .forEach(([group, ids]) => lines.push(`- Pick at most one of group "${group}": ${ids.join(', ')}.`));
+    }
+    const resting = entries.filter(entry => !rules.alwaysActive.includes(entry.uid) && isOnCooldown(entry, rules, endIndex)).map(entry => entry.id);
+    if (resting.length > 0) lines.push(`- On cooldown, do not select: ${resting.join(', ')}.`);
+    const pinned = entries.filter(entry => getSelectionOverrides().pins.includes(entry.id)).map(entry => entry.id);
+    if (pinned.length > 0) lines.push(`- Pinned by the user, already active: ${pinned.join(', ')}.`);
+    return lines.length > 0 ? `Rules:\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Enforces each lorebook's rules on a parsed selection, in place. Every change is
+ * recorded in `analysis.adjustments` and in the debug log.
+ * @param {AnalysisResult} analysis
+ * @param {object[]} entries Registry entries.
+ * @param {number} [endIndex]
+ */
+function applySelectionRules(analysis, entries, endIndex) {
+    const settings = getPipelineSettings();
+    const adjustments = [];
+    const record = (rule, action, id, detail) => {
+        adjustments.push({ rule, action, id, detail });
+        log(`Rule "${rule}" ${action} ${id}: ${detail}`);
+    };
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const score = (id) => analysis.confidence[id] ?? 0;
+    let ids = [...analysis.ids];
+
+    for (const book of settings.lorebooks.filter(item => item.enabled)) {
+        const rules = getSelectionRules(book);
+        const bookEntries = entries.filter(entry => entry.world === book.name);
+        const always = bookEntries.filter(entry => rules.alwaysActive.includes(entry.uid)).map(entry => entry.id);
+        const inBook = (id) => byId.get(id)?.world === book.name;
+
+        ids = ids.filter(id => {
+            const entry = byId.get(id);
+            if (!inBook(id) || always.includes(id) || !isOnCooldown(entry, rules, endIndex)) return true;
+            record('cooldown', 'dropped', id, `used ${getTurnsSinceUsed(id, endIndex)} turn(s) ago, cooldown is ${getEntryCooldown(rules, entry.uid)}`);
+            return false;
+        });
+
+        for (const id of always) {
+            if (ids.includes(id)) continue;
+            ids.push(id);
+            record('alwaysActive', 'added', id, 'entry is always active');
+        }
+
+        if (rules.exclusiveGroups) {
+            const taken = new Map();
+            // Always-active entries claim their groups first, then higher confidence wins.
+            const ordered = ids.filter(inBook).sort((a, b) => Number(always.includes(b)) - Number(always.includes(a)) || score(b) - score(a));
+            for (const id of ordered) {
+                const clash = getEntryGroups(byId.get(id)).find(group => taken.has(group));
+                if (clash) {
+                    ids = ids.filter(other => other !== id);
+                    record('exclusive', 'dropped', id, `group "${clash}" already has ${taken.get(clash)}`);
+                    continue;
+                }
+                getEntryGroups(byId.get(id)).forEach(group => taken.set(group, id));
+            }
+        }
+
+        if (rules.maxSelections > 0) {
+            const selected = ids.filter(inBook);
+            const removable = selected.filter(id => !always.includes(id)).sort((a, b) => score(a) - score(b) || selected.indexOf(b) - selected.indexOf(a));
+            while (ids.filter(inBook).length > rules.maxSelections && removable.length > 0) {
+                const id = removable.shift();
+                ids = ids.filter(other => other !== id);
+                record('max', 'dropped', id, `more than ${rules.maxSelections} entries selected`);
+            }
+        }
+
+        if (rules.minSelections > 0) {
+            const usedGroups = new Set(ids.filter(inBook).flatMap(id => getEntryGroups(byId.get(id))));
+            const candidates = bookEntries
+                .filter(entry => !ids.includes(entry.id) && !isOnCooldown(entry, rules, endIndex))
+                .filter(entry => !rules.exclusiveGroups || !getEntryGroups(entry).some(group => usedGroups.has(group)))
+                .sort((a, b) => (b.order ?? 0) - (a.order ?? 0));
+            while (ids.filter(inBook).length < rules.minSelections && candidates.length > 0) {
+                const entry = candidates.shift();
+                if (rules.exclusiveGroups && getEntryGroups(entry).some(group => usedGroups.has(group))) continue;
+                getEntryGroups(entry).forEach(group => usedGroups.add(group));
+                ids.push(entry.id);
+                record('min', 'added', entry.id, `fewer than ${rules.minSelections} entries selected, filled by insertion order`);
+            }
+        }
+    }
+
+    const { pins, excludes } = getSelectionOverrides();
+    ids = ids.filter(id => {
+        if (!excludes.includes(id)) return true;
+        record('excluded', 'dropped', id, 'excluded for this chat');
+        return false;
+    });
+    for (const id of pins) {
+        if (ids.includes(id) || !byId.has(id)) continue;
+        ids.push(id);
+        record('pinned', 'added', id, 'pinned for this chat');
+    }
+
+    analysis.ids = ids;
+    analysis.adjustments = adjustments;
+    return analysis;
+}
+
+async function showSelectionRulesPopup(book) {
+    let entries = [];
+    try {
+        entries = await fetchLorebookEntries(book.name);
+    } catch (error) {
+        log('Failed to load lorebook entries for the rules editor.', { error: error.message });
+    }
+    const rules = getSelectionRules(book);
+    const popupContent = document.createElement('div');
+    popupContent.className = 'ps-rules-editor';
+    popupContent.innerHTML = `
+        <h4>Selection Rules: ${book.alias}</h4>
+        <div style="display: flex; gap: 10px;">
+            <div style="flex: 1;"><label>Min selections</label><input type="number" class="text_pole" data-rule="minSelections" min="0"></div>
+            <div style="flex: 1;"><label>Max selections (0 = no limit)</label><input type="number" class="text_pole" data-rule="maxSelections" min="0"></div>
+            <div style="flex: 1;"><label>Default cooldown (turns)</label><input type="number" class="text_pole" data-rule="defaultCooldown" min="0"></div>
+        </div>
+        <label class="checkbox_label"><input type="checkbox" data-rule="exclusiveGroups"><span>Entries sharing a world info group are mutually exclusive</span></label>
+        <table class="ps-rules-table">
+            <thead><tr><th>Entry</th><th>Group</th><th>Always active</th><th>Cooldown</th><th>Registry description</th></tr></thead>
+            <tbody></tbody>
+        </table>`;
+    popupContent.querySelector('[data-rule="minSelections"]').value = rules.minSelections;
+    popupContent.querySelector('[data-rule="maxSelections"]').value = rules.maxSelections;
+    popupContent.querySelector('[data-rule="defaultCooldown"]').value = rules.defaultCooldown;
+    popupContent.querySelector('[data-rule="exclusiveGroups"]').checked = rules.exclusiveGroups;
+    const tbody = popupContent.querySelector('tbody');
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.dataset.uid = entry.uid;
+        row.innerHTML = '<td></td><td></td><td><input type="checkbox"></td><td><input type="number" class="text_pole" min="0" placeholder="default"></td><td><input type="text" class="text_pole" placeholder="first content line"></td>';
+        row.cells[0].textContent = `${entry.uid}: ${entry.comment || 'Untitled Entry'}`;
+        row.cells[1].textContent = entry.group || '';
+        row.querySelector('input[type="checkbox"]').checked = rules.alwaysActive.includes(entry.uid);
+        row.querySelector('input[type="number"]').value = rules.cooldowns[entry.uid] ?? '';
+        row.querySelector('input[type="text"]').value = book.descriptions?.[entry.uid] ?? '';
+        tbody.appendChild(row);
+    });
+
+    if (!await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Save' })) return;
+    const readNumber = (name) => Math.max(0, parseInt(popupContent.querySelector(`[data-rule="${name}"]`).value) || 0);
+    const updated = {
+        minSelections: readNumber('minSelections'),
+        maxSelections: readNumber('maxSelections'),
+        defaultCooldown: readNumber('defaultCooldown'),
+        exclusiveGroups: popupContent.querySelector('[data-rule="exclusiveGroups"]').checked,
+        alwaysActive: [],
+        cooldowns: {},
+    };
+    const descriptions = {};
+    tbody.querySelectorAll('tr').forEach(row => {
+        const uid = Number(row.dataset.uid);
+        if (row.querySelector('input[type="checkbox"]').checked) updated.alwaysActive.push(uid);
+        const cooldown = row.querySelector('input[type="number"]').value;
+        if (cooldown !== '') updated.cooldowns[uid] = Math.max(0, parseInt(cooldown) || 0);
+        const description = row.querySelector('input[type="text"]').value.trim();
+        if (description) descriptions[uid] = description;
+    });
+    book.rules = updated;
+    book.descriptions = descriptions;
+    saveSettings();
+    log(`Selection rules saved for "${book.name}".`, { rules: updated, descriptions });
+}
+
+
+// ============================================================================
+//  API & CORE FUNCTIONS
+// ============================================================================
+
+async function populateLorebookOptions() {
+    log('Fetching lorebook list...');
+    const selectElement = document.getElementById('ps_lorebookFile');
+    if (!selectElement) return;
+    try {
+        const response = await fetch('/api/worldinfo/list', { method: 'POST' });
+        if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
+        const lorebooks = await response.json();
+        selectElement.innerHTML = '<option value="">-- Add a lorebook file --</option>';
+        if (lorebooks && lorebooks.length > 0) {
+            lorebooks.forEach(book => {
+                const option = document.createElement('option');
+                option.value = book.name;
+                option.textContent = book.name;
+                selectElement.appendChild(option);
+            });
+            log(`Successfully populated ${lorebooks.length} lorebooks.`);
+        } else {
+            log('No lorebooks found.');
+        }
+        selectElement.value = '';
+    } catch (error) {
+        log('Failed to fetch or populate lorebook list.', { error: error.message });
+        selectElement.innerHTML = '<option value="">-- Error loading lorebooks --</option>';
+    }
+}
+
+async function fetchLorebookEntries(fileName) {
+    const response = await fetch('/api/worldinfo/get', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: fileName }),
+    });
+    if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
+    const lorebookData = await response.json();
+    // World info files store entries as an object keyed by UID.
+    return Object.values(lorebookData?.entries || {});
+}
+
+/**
+ * The registry description of an entry, from the configured source. Falls back to the
+ * first non-empty content line when the source has nothing for the entry.
+ * @param {object} entry
+ * @param {LorebookConfig} book
+ * @param {Settings} settings
+ */
+function describeRegistryEntry(entry, book, settings) {
+    const content = entry.content || '';
+    const firstLine = () => content.split('\n').find(line => line.trim() !== '')?.trim() || '...';
+    switch (settings.registrySource) {
+        case 'description':
+            return book.descriptions?.[entry.uid]?.trim() || firstLine();
+        case 'keys':
+            return (entry.key || []).filter(key => String(key).trim()).join(', ') || firstLine();
+        case 'group':
+            return getEntryGroups(entry).join(', ') || firstLine();
+        case 'chars': {
+            const text = content.replace(/\s+/g, ' ').trim();
+            return text.length > settings.registryChars ? `${text.slice(0, settings.registryChars)}…` : text || '...';
+        }
+        default:
+            return firstLine();
+    }
+}
+
+/**
+ * Renders the registry text. `hidden` entries are left out and `compact` drops the
+ * descriptions, both used when trimming to the token budget.
+ */
+function renderRegistry(books, settings, { hidden = new Set(), compact = false } = {}) {
+    const sections = books.map(({ book, entries, ruleText }) => {
+        const visible = entries.filter(entry => !hidden.has(entry.id));
+        const line = (entry) => {
+            const name = entry.comment || 'Untitled Entry';
+            return compact ? `[UID: ${entry.id}] ${name}` : `[UID: ${entry.id}] ${name} - ${describeRegistryEntry(entry, book, settings)}`;
+        };
+        let lines;
+        if (settings.registryGroupByCategory) {
+            const categories = new Map();
+            visible.forEach(entry => {
+                const category = getEntryGroups(entry)[0] || 'General';
+                if (!categories.has(category)) categories.set(category, []);
+                categories.get(category).push(line(entry));
+            });
+            lines = [...categories].flatMap(([category, categoryLines]) => [`### ${category}`, ...categoryLines]);
+        } else {
+            lines = visible.map(line);
+        }
+        const omitted = entries.length - visible.length;
+        if (omitted > 0) lines.push(`(${omitted} entr${omitted === 1 ? 'y' : 'ies'} omitted to save space; they cannot be selected now.)`);
+        if (ruleText) lines.push(ruleText);
+        return books.length > 1 ? `## ${book.alias}\n${lines.join('\n')}` : lines.join('\n');
+    });
+    return sections.join('\n\n');
+}
+
+/**
+ * Trims the registry until it fits `registryTokenBudget`: first it hides entries the
+ * agent cannot pick (on cooldown, always active or pinned), then drops descriptions,
+ * then hides the lowest-order entries.
+ * @returns {Promise<{ text: string, hidden: Set<string> }>} The registry text and the IDs left out of it.
+ */
+async function trimRegistry(books, settings, endIndex) {
+    const countTokens = (text) => countModelTokens([{ role: 'user', content: text }], settings.stage1Model);
+    let text = renderRegistry(books, settings);
+    const budget = settings.registryTokenBudget;
+    if (budget <= 0) return { text, hidden: new Set() };
+    let tokens = await countTokens(text);
+    if (tokens <= budget) return { text, hidden: new Set() };
+    log(`Registry is ${tokens} tokens, over the budget of ${budget}. Trimming.`);
+
+    const { pins } = getSelectionOverrides();
+    const hidden = new Set();
+    for (const { book, entries } of books) {
+        const rules = getSelectionRules(book);
+        entries.filter(entry => pins.includes(entry.id) || rules.alwaysActive.includes(entry.uid) || isOnCooldown(entry, rules, endIndex))
+            .forEach(entry => hidden.add(entry.id));
+    }
+    const steps = [{ hidden, compact: false }, { hidden, compact: true }];
+    for (const step of steps) {
+        text = renderRegistry(books, settings, step);
+        tokens = await countTokens(text);
+        log(`Registry trimmed to ${tokens} tokens.`, { hidden: [...step.hidden], compact: step.compact });
+        if (tokens <= budget) return { text, hidden };
+    }
+
+    const remaining = books.flatMap(({ entries }) => entries).filter(entry => !hidden.has(entry.id))
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    while (tokens > budget && remaining.length > 0) {
+        // Estimate how many lines must go from the current overshoot, at least one per pass.
+        const dropCount = Math.max(1, Math.ceil(remaining.length * (tokens - budget) / tokens));
+        remaining.splice(0, dropCount).forEach(entry => hidden.add(entry.id));
+        text = renderRegistry(books, settings, { hidden, compact: true });
+        tokens = await countTokens(text);
+    }
+    log(`Registry trimmed to ${tokens} tokens by hiding low-order entries.`, { hidden: [...hidden] });
+    if (tokens > budget) window.toastr.warning(`The registry is still ${tokens} tokens after trimming, over the budget of ${budget}.`, LOG_PREFIX);
+    return { text, hidden };
+}
+
+/**
+ * Builds the registry text from every enabled lorebook. Each returned entry carries
+ * its source file as `world` and its file-qualified `id`; `hidden` holds the IDs that
+ * trimming left out of the text, which the agent must not select. Disabled entries and entries
+ * excluded for this chat are left out.
+ */
+async function getLorebookRegistry(lorebooks, endIndex) {
+    const settings = getPipelineSettings();
+    const enabled = lorebooks.filter(book => book.enabled && book.name);
+    if (enabled.length === 0 && registryContributors.size === 0) return { text: '[ERROR: No lorebook file selected in settings.]', entries: [] };
+    const books = [];
+    const { excludes } = getSelectionOverrides();
+    for (const book of enabled) {
+        log(`Fetching content for lorebook: "${book.name}"`);
+        try {
+            const bookEntries = (await fetchLorebookEntries(book.name))
+                .filter(entry => !entry.disable)
+                .map(entry => ({ ...entry, world: book.name, id: `${book.alias}:${entry.uid}` }))
+                .filter(entry => !excludes.includes(entry.id));
+            if (bookEntries.length === 0) continue;
+            books.push({ book, entries: bookEntries, ruleText: describeSelectionRules(book, bookEntries, endIndex) });
+        } catch (error) {
+            log('Failed to fetch or process lorebook content.', { error: error.message });
+            return { text: `[CRITICAL ERROR: Failed to load content for "${book.name}". Check console.]`, entries: [] };
+        }
+    }
+    books.push(...await getContributedBooks(books.flatMap(item => item.entries), excludes, endIndex));
+    const entries = books.flatMap(item => item.entries);
+    if (entries.length === 0) return { text: '[NOTICE: Selected lorebooks are empty or have no entries.]', entries };
+    const { text, hidden } = await trimRegistry(books, settings, endIndex);
+    log(`Successfully built registry with ${entries.length} entries from ${enabled.length} lorebook(s).`);
+    return { text, entries, hidden };
+}
+
+/**
+ * Collects the entries added by registry contributors, grouped per contributor and
+ * lorebook file. A failing contributor is skipped.
+ */
+async function getContributedBooks(existing, excludes, endIndex) {
+    const books = new Map();
+    for (const [contributorId, contribute] of registryContributors) {
+        try {
+            const contributed = await contribute({ endIndex, entries: structuredClone(existing) });
+            for (const entry of Array.isArray(contributed) ? contributed : []) {
+                if (!entry?.world || !Number.isInteger(entry.uid)) continue;
+                const alias = `${contributorId}/${entry.world}`;
+                const id = `${alias}:${entry.uid}`;
+                if (excludes.includes(id)) continue;
+                if (!books.has(alias)) books.set(alias, { book: { name: entry.world, alias, enabled: true, rules: structuredClone(DEFAULT_SELECTION_RULES) }, entries: [], ruleText: '' });
+                books.get(alias).entries.push({ ...entry, id });
+            }
+        } catch (error) {
+            log(`Registry contributor "${contributorId}" failed, skipping it.`, { error: error.message });
+        }
+    }
+    if (books.size > 0) log(`Registry contributors added ${[...books.values()].reduce((sum, item) => sum + item.entries.length, 0)} entries.`);
+    return [...books.values()];
+}
+
+/**
+ * Asks for an API and model from the ones SillyTavern has loaded.
+ * @returns {Promise<{ api: string, model: string }|null>} Null if cancelled; `model` is empty if none was available.
+ */
+async function pickModel(title, currentApi, currentModel) {
+    const popupContent = document.createElement('div');
+    popupContent.innerHTML = `
+        <div style="margin-bottom: 10px;"><label for="ps-popup-api-select">API Provider:</label><select id="ps-popup-api-select" class="text_pole"></select></div>
+        <div><label for="ps-popup-model-select">Model:</label><select id="ps-popup-model-select" class="text_pole"></select></div>`;
+    const apiSelect = popupContent.querySelector('#ps-popup-api-select');
+    const modelSelect = popupContent.querySelector('#ps-popup-model-select');
+    Object.keys(API_TO_SELECTOR_MAP).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        apiSelect.appendChild(option);
+    });
+    apiSelect.value = currentApi;
+    const populateModels = (api) => {
+        modelSelect.innerHTML = '';
+        const selectorId = API_TO_SELECTOR_MAP[api];
+        if (!selectorId) return;
+        const sourceSelect = document.querySelector(selectorId);
+        if (sourceSelect && sourceSelect.options.length > 0) {
+            Array.from(sourceSelect.options).forEach(option => {
+                if (option.value) modelSelect.appendChild(option.cloneNode(true));
+            });
+            modelSelect.value = currentModel;
+            if (!modelSelect.value && modelSelect.options.length > 0) modelSelect.selectedIndex = 0;
+        } else {
+            modelSelect.innerHTML = '<option value="">-- No models found --</option>';
+        }
+    };
+    populateModels(currentApi);
+    apiSelect.onchange = () => populateModels(apiSelect.value);
+    if (!await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, title)) return null;
+    return { api: apiSelect.value, model: modelSelect.value };
+}
+
+async function showModelSelectorPopup(stage) {
+    const settings = getPipelineSettings();
+    const stageUpper = stage === 'stage1Backup' ? 'Stage 1 Backup' : 'Stage 1 (Analysis)';
+    const picked = await pickModel(`Select Model for ${stageUpper}`, settings[`${stage}Api`] || 'openai', settings[`${stage}Model`]);
+    if (!picked) return;
+    if (picked.model) {
+        setPipelineSetting(`${stage}Api`, picked.api);
+        setPipelineSetting(`${stage}Model`, picked.model);
+        updateApiDisplay(stage);
+        window.toastr.success(`Model for ${stageUpper} saved.`);
+        log(`Saved model for ${stage}:`, picked);
+    } else {
+        window.toastr.warning(`No model selected. Settings for ${stageUpper} remain unchanged.`, LOG_PREFIX);
+    }
+}
+
+function isExcludedFromHistory(message, settings) {
+    const type = message.extra?.type;
+    if (type === 'narrator') return settings.historyExcludeNarrator;
+    if (message.is_system && type) return settings.historyExcludeSystem;
+    if (message.is_system) return settings.historyExcludeHidden;
+    return false;
+}
+
+function formatHistoryMessage(message, context) {
+    const name = message.name || (message.is_user ? context.name1 : context.name2) || 'Unknown';
+    return `${name}: ${(message.mes || '').trim()}`;
+}
+
+/**
+ * Builds the conversation history from the chat array, walking back from `endIndex`
+ * until the message count or token budget is reached.
+ * @param {Settings} settings
+ * @param {number} [endIndex] Exclusive end of the history; defaults to the whole chat.
+ * @param {string} [draft] Unsent user text, appended as the newest user message.
+ */
+async function getRecentChatMessages(settings, endIndex, draft = '') {
+    try {
+        const context = getContext();
+        if (!Array.isArray(context.chat)) return 'No chat history available.';
+        const chat = context.chat.slice(0, endIndex ?? context.chat.length);
+        if (draft) chat.push({ is_user: true, name: context.name1, mes: draft });
+        if (chat.length === 0) return 'No chat history available.';
+        const lines = [];
+        let usedTokens = 0;
+        for (let i = chat.length - 1; i >= 0; i--) {
+            const message = chat[i];
+            if (!message || isExcludedFromHistory(message, settings)) continue;
+            const line = formatHistoryMessage(message, context);
+            if (settings.contextDepthMode === 'tokens') {
+                const tokens = await context.getTokenCountAsync(line);
+                if (lines.length > 0 && usedTokens + tokens > settings.contextTokenBudget) break;
+                usedTokens += tokens;
+            } else if (lines.length >= settings.contextDepth) {
+                break;
+            }
+            lines.unshift(line);
+        }
+        return lines.length > 0 ? lines.join('\n') : 'No recent messages found.';
+    } catch (error) {
+        log('Error getting chat messages', { error: error.message });
+        return 'Error retrieving chat history.';
+    }
+}
+
+function getCharacterData() {
+    try {
+        const context = getContext();
+        if (!context?.characters) return "No character loaded.";
+        const character = getSpeakerCharacter();
+        if (!character) return context.groupId ? "No group member drafted yet." : "No character loaded.";
+        let profile = `Name: ${character.name || 'Unnamed'}\n`;
+        if (character.description) profile += `Description: ${character.description}\n`;
+        if (character.personality) profile += `Personality: ${character.personality}\n`;
+        if (context.groupId && getPipelineSettings().groupOtherMembers) {
+            const others = getGroupMembers().filter(member => member.avatar !== character.avatar).map(member => {
+                const summary = (member.description || '').replace(/\s+/g, ' ').trim();
+                return `- ${member.name}${summary ? `: ${summary.length > 200 ? `${summary.slice(0, 200)}…` : summary}` : ''}`;
+            });
+            if (others.length > 0) profile += `Other group members:\n${others.join('\n')}\n`;
+        }
+        return profile.trim();
+    } catch (error) {
+        log('Error getting character data', { error: error.message });
+        return 'Error retrieving character data.';
+    }
+}
+
+/**
+ * Sends one Stage 1 request. The request is abandoned after `stage1Timeout` seconds
+ * or when `signal` aborts.
+ * @param {object[]} messages
+ * @param {{ signal?: AbortSignal, api?: string, model?: string, temperature?: number, maxTokens?: number, usage?: AnalysisUsage }} [options]
+ *   `api`, `model`, `temperature` and `maxTokens` override the Stage 1 settings.
+ */
+async function callAnalysisModel(messages, { signal, api, model, temperature, maxTokens, usage } = {}) {
+    const settings = getPipelineSettings();
+    api = api || settings.stage1Api;
+    model = model || settings.stage1Model;
+    const source = API_TO_SOURCE_MAP[api];
+    if (!source || !model) throw new Error('Missing API or Model for Stage 1. Cannot proceed.');
+    log('Sending Stage 1 request', { api, model });
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(new Error(`Stage 1 timed out after ${settings.stage1Timeout}s.`)), settings.stage1Timeout * 1000);
+    const requestStart = performance.now();
+    let content = '';
+    try {
+        const request = ChatCompletionService.processRequest({
+            stream: false,
+            messages,
+            model,
+            chat_completion_source: source,
+            max_tokens: maxTokens ?? settings.stage1MaxTokens,
+            temperature: temperature ?? settings.stage1Temperature,
+        }, {}, true, controller.signal);
+        // Race the abort as well, in case the request ignores the signal.
+        const aborted = new Promise((_, reject) => {
+            if (controller.signal.aborted) reject(controller.signal.reason);
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        const response = await Promise.race([request, aborted]);
+        content = response?.content || '';
+        return { content, reasoning: response?.reasoning || '' };
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        recordStage1Request(usage, { api, model, messages: structuredClone(messages), content, ms: Math.round(performance.now() - requestStart) });
+    }
+}
+
+function getPreviousSelectionText(endIndex, entries) {
+    const store = getAnalysisStore();
+    const chat = getContext().chat || [];
+    const previousIndex = Object.keys(store).map(Number).filter(index => index < (endIndex ?? chat.length)).sort((a, b) => b - a)[0];
+    if (previousIndex === undefined) return '';
+    const previous = getCachedAnalysis(previousIndex, chat[previousIndex]?.swipe_id ?? 0);
+    return (previous?.ids || [])
+        .map(id => `${id} (${entries.find(entry => entry.id === id)?.comment || 'unknown entry'})`)
+        .join(', ');
+}
+
+async function getTemplateVariables(settings, endIndex, registry, draft = '') {
+    const context = getContext();
+    const chat = (context.chat || []).slice(0, endIndex ?? context.chat?.length);
+    const character = getSpeakerCharacter();
+    return {
+        registry: registry.text,
+        history: await getRecentChatMessages(settings, endIndex, draft),
+        character: getCharacterData(),
+        speaker: character?.name || context.name2 || '',
+        user: context.name1 || '',
+        persona: context.powerUserSettings?.persona_description || '',
+        scenario: context.chatMetadata?.scenario || character?.scenario || '',
+        lastUserMessage: draft || chat.findLast(message => message.is_user)?.mes || '',
+        previousSelection: getPreviousSelectionText(endIndex, registry.entries),
+        authorsNote: context.chatMetadata?.note_prompt || '',
+    };
+}
+
+/**
+ * Captures what the names and character card macros resolve to in the open chat, so a
+ * snapshot's prompt renders the same later whichever chat is open.
+ * @returns {MacroContext}
+ */
+function captureMacroContext() {
+    const context = getContext();
+    const character = getSpeakerCharacter();
+    const card = context.getCharacterCardFields?.() ?? {};
+    const char = character?.name || context.name2 || '';
+    return {
+        user: context.name1 || '',
+        char,
+        group: context.groupId ? getGroupMembers().map(member => member.name).join(', ') : char,
+        fields: {
+            description: card.description ?? character?.description ?? '',
+            personality: card.personality ?? character?.personality ?? '',
+            scenario: card.scenario ?? character?.scenario ?? '',
+            persona: card.persona ?? context.powerUserSettings?.persona_description ?? '',
+            mesExamples: card.mesExamples ?? character?.mes_example ?? '',
+        },
+    };
+}
+
+/**
+ * Renders the analysis template. `{{#if name}}…{{else}}…{{/if}}` blocks are resolved
+ * first, then SillyTavern macros, then our placeholders. Inserted values are not
+ * expanded again, so macros inside chat text or lorebook entries stay literal.
+ * @param {string} template
+ * @param {Object<string, string>} variables
+ * @param {MacroContext} [macros] Resolve macros from this instead of the open chat.
+ */
+function renderAnalysisTemplate(template, variables, macros) {
+    const conditional = /\{\{#if\s+(\w+)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+    let output = template;
+    let match;
+    // Innermost blocks match first because their bodies cannot contain another {{#if.
+    while ((match = output.match(conditional))) {
+        const [whole, name, body] = match;
+        const [ifTrue, ifFalse = ''] = body.split('{{else}}');
+        const chosen = String(variables[name] ?? '').trim() ? ifTrue : ifFalse;
+        output = output.slice(0, match.index) + chosen + output.slice(match.index + whole.length);
+    }
+    output = macros
+        ? getContext().substituteParams(output, macros.user, macros.char, undefined, macros.group, false, macros.fields)
+        : getContext().substituteParams(output);
+    return output.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => Object.hasOwn(variables, name) ? variables[name] : placeholder);
+}
+
+/** Renders an analysis template and appends the output format instructions. */
+function renderAnalysisPrompt(template, variables, settings, macros) {
+    let prompt = renderAnalysisTemplate(template, variables, macros);
+    if (settings.outputFormat === 'json') prompt += `\n\n${JSON_OUTPUT_INSTRUCTIONS}`;
+    if (settings.forwardAnalysis === 'plan') prompt += `\n\n${settings.outputFormat === 'json' ? PLAN_INSTRUCTIONS_JSON : PLAN_INSTRUCTIONS}`;
+    return prompt;
+}
+
+/**
+ * @param {number} [endIndex]
+ * @param {{ draft?: string, diversify?: boolean }} [options] `diversify` adds the earlier attempts at `endIndex`.
+ */
+async function buildAnalysisPrompt(endIndex, { draft = '', diversify = false } = {}) {
+    const settings = getPipelineSettings();
+    const registry = await getLorebookRegistry(settings.lorebooks, endIndex);
+    assertRegistryLoaded(registry);
+    const variables = await getTemplateVariables(settings, endIndex, registry, draft);
+    let prompt = renderAnalysisPrompt(settings.analysisPromptTemplate || DEFAULT_ANALYSIS_PROMPT, variables, settings);
+    if (diversify) prompt += `\n\n${buildDiversityPrompt(endIndex ?? getContext().chat?.length ?? 0, registry.entries)}`;
+    return { prompt, entries: registry.entries, hidden: registry.hidden ?? new Set() };
+}
+
+async function showPromptPreview() {
+    try {
+        const { prompt } = await buildAnalysisPrompt();
+        const popupContent = document.createElement('div');
+        popupContent.innerHTML = '<h4>Rendered Analysis Prompt</h4><textarea readonly style="width: 100%; height: 70vh; font-family: monospace; resize: none;"></textarea>';
+        popupContent.querySelector('textarea').value = prompt;
+        callGenericPopup(popupContent, POPUP_TYPE.TEXT, 'Prompt Preview', { wide: true, large: true });
+        log('Rendered analysis prompt preview.');
+    } catch (error) {
+        log('Prompt preview failed', { error: error.message });
+        window.toastr.error(`Preview failed: ${error.message}`, LOG_PREFIX);
+    }
+}
+
+/**
+ * Builds the analysis prompt, queries the agent and enforces the selection rules.
+ * @param {number} [endIndex] Index of the message being generated; history stops before it.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {RunRecord} [options.run] Receives the prompt and the result.
+ * @param {string} [options.draft] Unsent user text to include in the history.
+ * @param {boolean} [options.fallback] Whether to walk the fallback chain when Stage 1 fails.
+ * @param {boolean} [options.diversify] Ask for a different mix than the earlier attempts at `endIndex`.
+ * @returns {Promise<AnalysisResult>}
+ */
+async function runAnalysis(endIndex, options = {}) {
+    const length = endIndex ?? getContext().chat?.length ?? 0;
+    const trigger = options.run?.trigger ?? 'api';
+    emitPipelineEvent(PIPELINE_EVENTS.ANALYSIS_STARTED, { trigger, endIndex: length });
+    try {
+        const result = await analyzeChat(endIndex, options);
+        emitPipelineEvent(PIPELINE_EVENTS.ANALYSIS_COMPLETED, { trigger, endIndex: length, analysis: result, run: options.run ?? null });
+        return result;
+    } catch (error) {
+        emitPipelineEvent(PIPELINE_EVENTS.ANALYSIS_FAILED, { trigger, endIndex: length, error: error?.message ?? String(error), aborted: !!options.signal?.aborted, run: options.run ?? null });
+        throw error;
+    }
+}
+
+/**
+ * @param {number} [endIndex]
+ * @param {{ signal?: AbortSignal, run?: RunRecord, draft?: string, fallback?: boolean, diversify?: boolean, usage?: AnalysisUsage }} [options]
+ *   A caller-owned `usage` collects the requests; by default they count towards the open chat.
+ */
+async function analyzeChat(endIndex, { signal, run, draft = '', fallback = true, diversify = false, usage = { requests: [], pending: [] } } = {}) {
+    const length = endIndex ?? getContext().chat?.length ?? 0;
+    const basis = { length, fingerprint: getHistoryFingerprint(length) };
+    const backend = getSelectionBackend(getPipelineSettings().selectionBackend);
+    const { prompt, entries, hidden } = backend.local
+        ? { prompt: '', entries: await getRegistryEntries(endIndex), hidden: new Set() }
+        : await buildAnalysisPrompt(endIndex, { draft, diversify });
+    if (run) run.prompt = prompt;
+    if (!backend.local) checkAnalysisBudget(prompt);
+    let result;
+    try {
+        result = await backend.select({ prompt, entries, endIndex, draft, signal, usage });
+    } catch (error) {
+        if (signal?.aborted || !fallback) throw error;
+        result = await runFallbackChain(prompt, entries, endIndex, error, signal, usage);
+    }
+    dropHiddenSelections(result, hidden);
+    applySelectionRules(result, entries, endIndex);
+    await applySelectionFilters(result, entries, endIndex);
+    result.basis = basis;
+    result.speaker = getSpeakerKey();
+    result.names = Object.fromEntries(result.ids.map(id => [id, entries.find(entry => entry.id === id)?.comment || '']));
+    if (run) recordAnalysis(run, result);
+    usage.finished = finishAnalysisUsage(usage, result, entries.filter(entry => result.ids.includes(entry.id)), run)
+        .catch(error => log('Usage accounting failed', { error: error.message }));
+    return result;
+}
+
+/**
+ * Removes IDs that registry trimming left out of the prompt; the registry told the
+ * agent they cannot be selected. Pins and always-active entries are added back by the
+ * selection rules afterwards.
+ * @param {AnalysisResult} analysis
+ * @param {Set<string>} hidden
+ */
+function dropHiddenSelections(analysis, hidden) {
+    const dropped = analysis.ids.filter(id => hidden.has(id));
+    if (dropped.length === 0) return;
+    analysis.ids = analysis.ids.filter(id => !hidden.has(id));
+    log('Dropped selected UIDs that were hidden from the trimmed registry.', { dropped });
+}
+
+/**
+ * Runs the registered selection filters in order. IDs a filter returns that are not in
+ * the registry are dropped; a failing filter is skipped.
+ * @param {AnalysisResult} analysis
+ */
+async function applySelectionFilters(analysis, entries, endIndex) {
+    const known = new Set(entries.map(entry => entry.id));
+    for (const [filterId, filter] of selectionFilters) {
+        try {
+            const ids = await filter(structuredClone(analysis), { entries: structuredClone(entries), endIndex });
+            if (!Array.isArray(ids)) continue;
+            const filtered = [...new Set(ids)].filter(id => known.has(id));
+            if (filtered.join() !== analysis.ids.join()) log(`Selection filter "${filterId}" changed the selection.`, { before: analysis.ids, after: filtered });
+            analysis.ids = filtered;
+        } catch (error) {
+            log(`Selection filter "${filterId}" failed, skipping it.`, { error: error.message });
+        }
+    }
+}
+
+/**
+ * Walks the configured fallback steps in order after Stage 1 failed and returns the
+ * first result that succeeds. Throws if every enabled step fails.
+ */
+async function runFallbackChain(prompt, entries, endIndex, error, signal, usage) {
+    const settings = getPipelineSettings();
+    let lastError = error;
+    for (const { step, enabled } of settings.fallbackChain) {
+        if (!enabled) continue;
+        if (signal?.aborted) throw signal.reason;
+        const label = FALLBACK_STEP_LABELS[step];
+        if ((step === 'retry' || step === 'backup') && !prompt) {
+            // Local backends get no analysis prompt, so there is nothing to send to a model.
+            log(`No analysis prompt was built for the local backend, skipping fallback: ${label}.`);
+            continue;
+        }
+        log(`Stage 1 failed (${lastError.message}), trying fallback: ${label}.`);
+        showStatusIndicator(`Analyzing... (fallback: ${label})`, true);
+        try {
+            let result;
+            if (step === 'retry') {
+                result = await queryAnalysisAgent(prompt, entries, { signal, usage });
+            } else if (step === 'backup') {
+                if (!settings.stage1BackupApi || !settings.stage1BackupModel) {
+                    log('No backup model configured, skipping fallback.');
+                    continue;
+                }
+                result = await queryAnalysisAgent(prompt, entries, { signal, usage, api: settings.stage1BackupApi, model: settings.stage1BackupModel });
+            } else if (step === 'local') {
+                result = await getSelectionBackend(settings.localBackend).select({ prompt, entries, endIndex, signal, usage });
+            } else {
+                result = { ids: [], rationales: {}, confidence: {}, raw: '', reasoning: '', api: 'none', model: 'none', timestamp: Date.now() };
+            }
+            result.fallback = step;
+            log(`Fallback "${label}" succeeded.`, { ids: result.ids });
+            return result;
+        } catch (stepError) {
+            if (signal?.aborted) throw stepError;
+            lastError = stepError;
+        }
+    }
+    throw new Error(`Analysis failed and no fallback succeeded: ${lastError.message}`);
+}
+
+/**
+ * Queries the Stage 1 model and returns a validated selection. In JSON mode, invalid
+ * replies are sent back with a corrective message up to `maxValidationRetries` times.
+ * @returns {Promise<AnalysisResult>}
+ */
+async function queryAnalysisAgent(prompt, entries, options = {}) {
+    const settings = getPipelineSettings();
+    const messages = [{ role: 'user', content: prompt }];
+    let { content: response, reasoning } = await callAnalysisModel(messages, options);
+    const createResult = (ids) => ({
+        ids,
+        rationales: {},
+        confidence: {},
+        raw: response,
+        reasoning: reasoning || response.split(/<UIDs>/)[0].trim(),
+        plan: extractPlan(response),
+        api: options.api || settings.stage1Api,
+        model: options.model || settings.stage1Model,
+        timestamp: Date.now(),
+    });
+
+    if (settings.outputFormat !== 'json') {
+        return createResult(resolveSelectionIds(parseUIDs(response), entries));
+    }
+
+    let parsed = parseStructuredResponse(response);
+    for (let attempt = 1; attempt <= settings.maxValidationRetries; attempt++) {
+        const unknown = (parsed.selections || []).filter(item => !resolveSelectionId(item.uid, entries)).map(item => item.uid);
+        const errors = [...parsed.errors];
+        if (unknown.length > 0) errors.push(`These UIDs do not exist in the Registry: ${unknown.join(', ')}.`);
+        if (errors.length === 0) break;
+        log(`Structured analysis reply was invalid, retrying (${attempt}/${settings.maxValidationRetries}).`, { errors });
+        messages.push(
+            { role: 'assistant', content: response },
+            { role: 'user', content: `Your previous reply was invalid:\n- ${errors.join('\n- ')}\nValid UIDs are: ${entries.map(entry => entry.id).join(', ')}.\nReply again with only the JSON object.` },
+        );
+        ({ content: response, reasoning } = await callAnalysisModel(messages, options));
+        parsed = parseStructuredResponse(response);
+    }
+
+    if (!parsed.selections) {
+        log('Structured analysis failed validation, falling back to the <UIDs> tag.', { errors: parsed.errors });
+        return createResult(resolveSelectionIds(parseUIDs(response), entries));
+    }
+    const result = createResult(resolveSelectionIds(parsed.selections.map(item => item.uid), entries));
+    result.reasoning = reasoning || parsed.selections.map(item => `${item.uid}: ${item.rationale}`).join('\n');
+    result.plan = parsed.plan || result.plan;
+    for (const item of parsed.selections) {
+        const id = resolveSelectionId(item.uid, entries);
+        if (!id) continue;
+        result.rationales[id] = item.rationale;
+        if (item.confidence !== null) result.confidence[id] = item.confidence;
+    }
+    return result;
+}
+
+
+// ============================================================================
+//  SELECTION BACKENDS
+// ============================================================================
+
+/**
+ * What a selection backend receives.
+ * @typedef {object} SelectionRequest
+ * @property {string} prompt The rendered analysis prompt. Empty for local backends.
+ * @property {object[]} entries Registry entries, each with its file-qualified `id`.
+ * @property {number} [endIndex] Index of the message being generated.
+ * @property {string} [draft] Unsent user text.
+ * @property {string} [history] Recent history to use instead of the open chat's.
+ * @property {string} [api] Model override for backends that call a model.
+ * @property {string} [model]
+ * @property {number} [temperature]
+ * @property {AbortSignal} [signal]
+ * @property {AnalysisUsage} [usage] Collects Stage 1 requests for usage accounting.
+ */
+
+/**
+ * Picks the entries for a generation. The pipeline applies the selection rules to
+ * whatever `select` returns.
+ * @typedef {object} SelectionBackend
+ * @property {string} label
+ * @property {boolean} local True if it needs no remote model. Local backends get no prompt.
+ * @property {(request: SelectionRequest) => Promise<AnalysisResult>} select
+ */
+
+/** @type {Map<string, SelectionBackend>} */
+const selectionBackends = new Map();
+
+function registerSelectionBackend(id, backend) {
+    if (typeof backend?.select !== 'function') throw new Error(`Selection backend "${id}" has no select function.`);
+    selectionBackends.set(id, { label: id, local: false, ...backend });
+    renderSelectionBackendOptions();
+}
+
+function getSelectionBackend(id) {
+    const backend = selectionBackends.get(id);
+    if (backend) return backend;
+    log(`Selection backend "${id}" is not registered, using the analysis agent.`);
+    return selectionBackends.get('llm');
+}
+
+function assertRegistryLoaded(registry) {
+    if (registry.text.startsWith('[ERROR:') || registry.text.startsWith('[CRITICAL ERROR:')) throw new Error(registry.text);
+}
+
+async function getRegistryEntries(endIndex) {
+    const registry = await getLorebookRegistry(getPipelineSettings().lorebooks, endIndex);
+    assertRegistryLoaded(registry);
+    return registry.entries;
+}
+
+function createLocalResult(backendId, scored, reasoning) {
+    const result = { ids: scored.map(item => item.id), rationales: {}, confidence: {}, raw: '', reasoning, api: 'local', model: backendId, timestamp: Date.now() };
+    scored.forEach(item => {
+        result.rationales[item.id] = item.rationale;
+        if (item.confidence !== undefined) result.confidence[item.id] = item.confidence;
+    });
+    return result;
+}
+
+function matchesEntryKey(key, text) {
+    const regex = String(key).match(/^\/(.+)\/([a-z]*)$/s);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]).test(text);
+        } catch {
+            return false;
+        }
+    }
+    return text.toLowerCase().includes(String(key).toLowerCase());
+}
+
+/**
+ * Picks the top-K entries whose world info keys appear in the recent history.
+ * Needs no model, so it works when Stage 1 is unavailable.
+ * @returns {Promise<AnalysisResult>}
+ */
+async function selectByKeywords(entries, { endIndex, draft = '', history } = {}) {
+    const settings = getPipelineSettings();
+    history ??= await getRecentChatMessages(settings, endIndex, draft);
+    const scored = entries.map(entry => {
+        const keys = [...(entry.key || []), ...(entry.keysecondary || [])].filter(key => String(key).trim());
+        const matched = keys.filter(key => matchesEntryKey(key, history));
+        return { id: entry.id, matched, rationale: `Matched keys: ${matched.join(', ')}` };
+    }).filter(item => item.matched.length > 0)
+        .sort((a, b) => b.matched.length - a.matched.length)
+        .slice(0, settings.keywordTopK);
+    return createLocalResult('keywords', scored, 'Selected by keyword matches in the recent history.');
+}
+
+const SIMILARITY_STOPWORDS = new Set(('the and for are but not you your with have this that was were what when where which who will would there their they them then than from into about just like can could should she her his him its our out all any been being did does doing had has how more most other over same some such only own very too also here why each few off once both these those while after before again further because between through during above below under until against').split(' '));
+
+function tokenizeForSimilarity(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 2 && !SIMILARITY_STOPWORDS.has(token));
+}
+
+/**
+ * Turns token lists into TF-IDF vectors, weighting terms by how rare they are across
+ * all of the given documents.
+ * @param {string[][]} documents
+ * @returns {Map<string, number>[]}
+ */
+function buildTfIdfVectors(documents) {
+    const documentFrequency = new Map();
+    for (const tokens of documents) {
+        for (const term of new Set(tokens)) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    return documents.map(tokens => {
+        const counts = new Map();
+        tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        const vector = new Map();
+        for (const [term, count] of counts) {
+            const idf = Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+            vector.set(term, (1 + Math.log(count)) * idf);
+        }
+        return vector;
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (const [term, weight] of a) dot += weight * (b.get(term) || 0);
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return dot === 0 ? 0 : dot / (norm(a) * norm(b));
+}
+
+/**
+ * Picks the top-K entries whose name, keys and content are most similar to the recent
+ * history, using TF-IDF vectors built locally over the registry.
+ * @returns {Promise<AnalysisResult>}
+ */
+async function selectBySimilarity(entries, { endIndex, draft = '', history } = {}) {
+    const settings = getPipelineSettings();
+    history ??= await getRecentChatMessages(settings, endIndex, draft);
+    const documents = entries.map(entry => tokenizeForSimilarity([entry.comment, ...(entry.key || []), entry.content].join(' ')));
+    const [query, ...vectors] = buildTfIdfVectors([tokenizeForSimilarity(history), ...documents]);
+    const scored = entries.map((entry, index) => {
+        const score = cosineSimilarity(query, vectors[index]);
+        const shared = [...vectors[index].keys()].filter(term => query.has(term))
+            .sort((a, b) => query.get(b) * vectors[index].get(b) - query.get(a) * vectors[index].get(a))
+            .slice(0, 5);
+        return { id: entry.id, score, confidence: Math.round(score * 100) / 100, rationale: `Similarity ${score.toFixed(2)}, shared terms: ${shared.join(', ')}` };
+    }).filter(item => item.score > 0 && item.score >= settings.similarityThreshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, settings.keywordTopK);
+    return createLocalResult('similarity', scored, 'Selected by text similarity to the recent history.');
+}
+
+registerSelectionBackend('llm', {
+    label: 'Analysis agent (Stage 1 model)',
+    select: ({ prompt, entries, signal, usage, api, model, temperature }) => queryAnalysisAgent(prompt, entries, { signal, usage, api, model, temperature }),
+});
+registerSelectionBackend('keywords', {
+    label: 'Local: entry keywords',
+    local: true,
+    select: ({ entries, endIndex, draft, history }) => selectByKeywords(entries, { endIndex, draft, history }),
+});
+registerSelectionBackend('similarity', {
+    label: 'Local: text similarity',
+    local: true,
+    select: ({ entries, endIndex, draft, history }) => selectBySimilarity(entries, { endIndex, draft, history }),
+});
+
+/**
+ * Runs every local backend on the same state as a baseline for the analysis agent.
+ * @returns {Promise<{ id: string, label: string, ids: string[] }[]>}
+ */
+async function runLocalBaselines(endIndex) {
+    const entries = await getRegistryEntries(endIndex);
+    const baselines = [];
+    for (const [id, backend] of selectionBackends) {
+        if (!backend.local) continue;
+        const result = await backend.select({ prompt: '', entries, endIndex });
+        applySelectionRules(result, entries, endIndex);
+        baselines.push({ id, label: backend.label, ids: result.ids });
+    }
+    return baselines;
+}
+
+/** @returns {Promise<string[]>} IDs of the entries queued for activation. */
+async function activateEntriesNative(targets) {
+    if (!event_types.WORLDINFO_FORCE_ACTIVATE) {
+        throw new Error('This SillyTavern version does not support forced world info activation. Update SillyTavern or use the LALib backend.');
+    }
+    const selected = [];
+    for (const fileName of new Set(targets.map(target => target.fileName))) {
+        const entries = await fetchLorebookEntries(fileName);
+        for (const target of targets.filter(item => item.fileName === fileName)) {
+            const entry = entries.find(item => item.uid === target.uid);
+            if (entry) selected.push({ ...entry, world: fileName, id: target.id });
+            else log(`Selected entry ${target.id} no longer exists in "${fileName}" and was skipped.`);
+        }
+    }
+    if (selected.length === 0) return [];
+    pipelineState.pendingActivation = selected.map(entry => ({ id: entry.id, world: entry.world, uid: entry.uid }));
+    await eventSource.emit(event_types.WORLDINFO_FORCE_ACTIVATE, selected.map(({ id, ...entry }) => entry));
+    log(`Queued ${selected.length} entries for native activation.`, { ids: selected.map(entry => entry.id) });
+    return selected.map(entry => entry.id);
+}
+
+/** @returns {Promise<string[]>} IDs of the triggered entries. */
+async function activateEntriesLALib(targets) {
+    const context = getContext();
+    for (const target of targets) {
+        const script = `/wi-trigger file="${target.fileName}" uid=${target.uid} now=false`;
+        await context.executeSlashCommandsWithOptions(script, { showOutput: false, handleExecutionErrors: true });
+    }
+    log(`Triggered ${targets.length} entries through LALib.`);
+    return targets.map(target => target.id);
+}
+
+async function activateEntries(ids) {
+    const backend = getActivationBackend();
+    const targets = ids.map(parseSelectionId).filter(Boolean);
+    if (targets.length < ids.length) log('Some selected IDs refer to lorebooks that are no longer configured.', { ids });
+    if (targets.length === 0) return;
+    log(`Activating ${targets.length} lorebook entries...`, { backend });
+    const activated = backend === 'lalib' ? await activateEntriesLALib(targets) : await activateEntriesNative(targets);
+    // Listeners only hear about entries that were actually queued.
+    if (activated.length === 0) return;
+    emitPipelineEvent(PIPELINE_EVENTS.ENTRIES_ACTIVATED, { ids: activated, backend, run: pipelineState.currentRun });
+}
+
+function confirmActivation(activatedEntries) {
+    const pending = pipelineState.pendingActivation;
+    if (!pending) return;
+    pipelineState.pendingActivation = null;
+    const activatedKeys = new Set((activatedEntries || []).map(entry => `${entry.world}\u0000${entry.uid}`));
+    const confirmed = pending.filter(item => activatedKeys.has(`${item.world}\u0000${item.uid}`)).map(item => item.id);
+    const missing = pending.filter(item => !activatedKeys.has(`${item.world}\u0000${item.uid}`)).map(item => item.id);
+    log('Activation confirmed by world info scan.', { confirmed, missing });
+    if (pipelineState.currentRun) Object.assign(pipelineState.currentRun.activation, { confirmed, missing });
+    if (missing.length > 0) {
+        window.toastr.warning(`${missing.length} selected entr${missing.length === 1 ? 'y was' : 'ies were'} not added to the prompt (${missing.join(', ')}). Are the lorebooks active for this chat?`, LOG_PREFIX);
+    }
+}
+
+/**
+ * Injects the agent's reasoning or plan into the generation prompt, mirroring the
+ * smart regeneration injection. Removed again after generation.
+ * @param {AnalysisResult} analysis
+ */
+async function applyAnalysisForwarding(analysis) {
+    const settings = getSettings();
+    if (settings.forwardAnalysis === 'off') return;
+    const text = settings.forwardAnalysis === 'plan' ? analysis.plan : analysis.reasoning;
+    if (!text) {
+        log(`No ${settings.forwardAnalysis} found in the analysis, nothing forwarded.`);
+        return;
+    }
+    const label = settings.forwardAnalysis === 'plan' ? 'plan' : 'analysis';
+    const forwardPrompt = `[Narrative ${label} from the analysis agent for this response:\n${text}]`;
+    const command = `/inject id=ps_analysis_forward position=${settings.forwardPosition} depth=${settings.forwardDepth} role=${settings.forwardRole} ${JSON.stringify(forwardPrompt)}`;
+    await getContext().executeSlashCommandsWithOptions(command, { showOutput: false });
+    log(`Analysis ${label} injected into the generation prompt.`, { position: settings.forwardPosition, depth: settings.forwardDepth, role: settings.forwardRole });
+}
+
+function getOpeningSentence(text) {
+    return (text || '').split(/[.!?]/)[0].trim();
+}
+
+/**
+ * Collects the selections and openings of earlier attempts at the message being
+ * regenerated, from the stored analyses of its swipes. On regenerate the message
+ * may already be gone, so the in-memory analysis is used instead.
+ */
+function getPreviousAttempts(targetIndex) {
+    const message = (getContext().chat || [])[targetIndex];
+    const records = getAnalysisStore()[targetIndex] || {};
+    const attempts = Object.entries(records).map(([swipeId, analysis]) => ({
+        ids: analysis.ids,
+        names: analysis.names || {},
+        opening: getOpeningSentence(message?.swipes?.[swipeId]),
+    }));
+    if (attempts.length === 0 && pipelineState.cachedAnalysis) {
+        attempts.push({ ids: pipelineState.cachedAnalysis.ids, names: pipelineState.cachedAnalysis.names || {}, opening: '' });
+    }
+    return attempts;
+}
+
+/**
+ * Builds the prompt section for a diversified re-analysis: earlier attempts and,
+ * optionally, the entries that have not been used recently.
+ * @param {number} targetIndex
+ * @param {object[]} entries Registry entries.
+ */
+function buildDiversityPrompt(targetIndex, entries) {
+    const settings = getPipelineSettings();
+    const attempts = getPreviousAttempts(targetIndex);
+    const lines = attempts.map((attempt, index) => {
+        const selection = attempt.ids.map(id => attempt.names[id] ? `${id} (${attempt.names[id]})` : id).join(', ') || 'none';
+        return `- Attempt ${index + 1}: ${selection}.${attempt.opening ? ` Opening: "${attempt.opening}"` : ''}`;
+    });
+    if (lines.length === 0) lines.push('- No earlier selections were recorded.');
+    if (settings.diversityRecencyBias) {
+        const fresh = entries.filter(entry => getTurnsSinceUsed(entry.id, targetIndex) > settings.diversityLookback).map(entry => entry.id);
+        if (fresh.length > 0) lines.push('', `Prefer entries not used in the last ${settings.diversityLookback} turns: ${fresh.join(', ')}.`);
+    }
+    return `${DIVERSITY_INSTRUCTIONS}\n${lines.join('\n')}`;
+}
+
+async function applySmartRegeneration(targetIndex) {
+    const chat = getContext().chat || [];
+    // On regenerate the replaced message may already be gone; only use it while it is still the last AI reply.
+    const message = chat[targetIndex] ?? chat[chat.length - 1];
+    if (!message || message.is_user) return;
+    const lastMessage = [message.mes, ...(message.swipes || []).slice().reverse()]
+        .find(text => text && text.trim() && text.trim() !== '...') || '';
+    if (!lastMessage) return;
+    const firstSentence = getOpeningSentence(lastMessage);
+    const regenPrompt = `[System: User has requested a regeneration. Provide an alternative response. Avoid repeating the previous attempt, which started with: "${firstSentence}"]`;
+    await getContext().executeSlashCommandsWithOptions(`/inject id=ps_smart_regen position=after depth=0 ${JSON.stringify(regenPrompt)}`, { showOutput: false });
+    log('Smart regeneration prompt injected.');
+}
+
+
+// ============================================================================
+//  SPECULATIVE ANALYSIS
+// ============================================================================
+
+/**
+ * Starts a background analysis for the next user turn. `draft` is the text in the
+ * input box, if any. Does nothing if an identical speculation is already running.
+ */
+function startSpeculativeAnalysis(draft = '') {
+    const settings = getPipelineSettings();
+    if (!settings.enabled || settings.speculativeAnalysis === 'off') return;
+    if (pipelineState.isRunning || pipelineState.isGenerating || !settings.lorebooks.some(book => book.enabled)) return;
+    if (getContext().groupId) {
+        log('Speculative analysis is not used in group chats, where the next speaker is not known yet.');
+        return;
+    }
+    const length = getContext().chat?.length ?? 0;
+    const fingerprint = getHistoryFingerprint(length);
+    const current = pipelineState.speculation;
+    if (current && current.fingerprint === fingerprint && current.draft === draft) return;
+    if (current) cancelSpeculativeAnalysis('superseded by a newer speculative analysis.');
+
+    const controller = new AbortController();
+    const run = startRunRecord('speculative');
+    const analysisStart = performance.now();
+    /** @type {Speculation} */
+    const speculation = { length, fingerprint, draft, controller, promise: null, run, usage: { requests: [], pending: [], skipChatTotals: true } };
+    log('Starting speculative analysis.', { length, draft: Boolean(draft) });
+    speculation.promise = runAnalysis(length, { signal: controller.signal, run, draft, fallback: false, usage: speculation.usage })
+        .then(result => {
+            run.timings.analysis = Math.round(performance.now() - analysisStart);
+            run.status = speculation.discarded ? 'discarded' : 'ok';
+            log('Speculative analysis complete.', { ids: result.ids });
+            return result;
+        })
+        .catch(error => {
+            run.status = speculation.discarded ? 'discarded' : controller.signal.aborted ? 'cancelled' : 'failed';
+            run.error = error.message;
+            log('Speculative analysis did not complete.', { error: error.message });
+            if (pipelineState.speculation === speculation) pipelineState.speculation = null;
+            return null;
+        });
+    pipelineState.speculation = speculation;
+}
+
+function cancelSpeculativeAnalysis(reason) {
+    const speculation = pipelineState.speculation;
+    if (!speculation) return;
+    pipelineState.speculation = null;
+    speculation.discarded = true;
+    if (speculation.run.status !== 'failed') speculation.run.status = 'discarded';
+    speculation.controller.abort(new Error(reason));
+    log(`Speculative analysis discarded: ${reason}`);
+}
+
+/**
+ * Adds a used speculation to the chat totals. Its requests are left out of them while
+ * it may still be discarded; the model totals count them either way.
+ * @param {AnalysisUsage} usage
+ * @param {AnalysisResult} result
+ */
+async function addSpeculationUsage(usage, result) {
+    await usage.finished;
+    const sum = (key) => usage.requests.reduce((total, request) => total + request[key], 0);
+    addUsage(getChatUsage(), {
+        runs: 1,
+        calls: usage.requests.length,
+        promptTokens: sum('promptTokens'),
+        responseTokens: sum('responseTokens'),
+        stage1Ms: sum('ms'),
+        entryTokens: result.entryTokens ?? 0,
+    });
+    getContext().saveMetadata();
+    renderUsageSummary();
+}
+
+/**
+ * Returns the speculative analysis if the history it was based on still matches the
+ * generation at `targetIndex`, waiting for it if it is still running. A speculation
+ * stays valid when only the user's message was added, and that message matches the
+ * draft it was built with. Returns null when it cannot be used.
+ * @param {number} targetIndex
+ * @param {AbortSignal} signal
+ * @returns {Promise<AnalysisResult|null>}
+ */
+async function takeSpeculativeAnalysis(targetIndex, signal) {
+    const speculation = pipelineState.speculation;
+    if (!speculation) return null;
+    const sent = getContext().chat?.[speculation.length];
+    const historyValid = getHistoryFingerprint(speculation.length) === speculation.fingerprint;
+    const onlyUserMessageAdded = targetIndex === speculation.length + 1 && sent?.is_user
+        && (!speculation.draft || sent.mes.trim() === speculation.draft.trim());
+    const nothingAdded = targetIndex === speculation.length && !speculation.draft;
+    if (!historyValid || !(onlyUserMessageAdded || nothingAdded)) {
+        cancelSpeculativeAnalysis('the chat changed since it started.');
+        return null;
+    }
+    pipelineState.speculation = null;
+    log('Using the speculative analysis.');
+    const onAbort = () => speculation.controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        const result = await speculation.promise;
+        if (result) addSpeculationUsage(speculation.usage, result).catch(error => log('Usage accounting failed', { error: error.message }));
+        return result;
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+function scheduleTypingSpeculation(text) {
+    clearTimeout(speculationTimer);
+    if (getPipelineSettings().speculativeAnalysis !== 'typing' || !text.trim()) return;
+    speculationTimer = setTimeout(() => startSpeculativeAnalysis(text), 1500);
+}
+
+
+// ============================================================================
+//  EXTRA STAGES
+// ============================================================================
+
+function createStageConfig(presetKey = 'blank') {
+    const preset = STAGE_PRESETS[presetKey] || STAGE_PRESETS.blank;
+    return {
+        id: Math.random().toString(36).slice(2, 10),
+        name: preset.name,
+        enabled: true,
+        api: '',
+        model: '',
+        temperature: 0.5,
+        maxTokens: 512,
+        promptTemplate: preset.promptTemplate,
+        output: preset.output,
+        injectPosition: 'chat',
+        injectDepth: 1,
+        injectRole: 'system',
+        variableName: '',
+    };
+}
+
+/**
+ * Runs the enabled extra stages in order after a fresh analysis. Each stage sees the
+ * analysis placeholders plus {{analysis}}, {{plan}}, {{selection}} and the previous
+ * stage's {{previousOutput}}. UIDs from `activate` stages are merged into the
+ * selection; text outputs are stored for {@link applyStageOutputs}. A failing stage
+ * is skipped so it never blocks the generation.
+ * @param {AnalysisResult} analysis
+ * @param {number} endIndex
+ * @param {{ signal?: AbortSignal, run?: RunRecord }} [options]
+ */
+async function runExtraStages(analysis, endIndex, { signal, run } = {}) {
+    const settings = getPipelineSettings();
+    const stages = settings.stages.filter(stage => stage.enabled);
+    analysis.stageOutputs = {};
+    if (stages.length === 0) return;
+    const needsRegistry = stages.some(stage => stage.output === 'activate' || stage.promptTemplate.includes('{{registry}}'));
+    const registry = needsRegistry ? await getLorebookRegistry(settings.lorebooks, endIndex) : { text: '', entries: [], hidden: new Set() };
+    /** @type {AnalysisUsage} */
+    const usage = { requests: [], pending: [] };
+    let activated = false;
+    const variables = {
+        ...await getTemplateVariables(settings, endIndex, registry),
+        analysis: analysis.reasoning || '',
+        plan: analysis.plan || '',
+        selection: analysis.ids.map(id => `${id} ${analysis.names?.[id] || ''}`.trim()).join('\n'),
+    };
+    let previousOutput = '';
+    for (const stage of stages) {
+        if (signal?.aborted) throw signal.reason;
+        showStatusIndicator(`Running stage: ${stage.name}...`);
+        const prompt = renderAnalysisTemplate(stage.promptTemplate, { ...variables, previousOutput });
+        const stageStart = performance.now();
+        const record = { name: stage.name, prompt, response: '', ms: 0 };
+        run?.stages.push(record);
+        try {
+            const { content } = await callAnalysisModel([{ role: 'user', content: prompt }], {
+                signal,
+                api: stage.api || undefined,
+                model: stage.model || undefined,
+                temperature: stage.temperature,
+                maxTokens: stage.maxTokens,
+                usage,
+            });
+            record.response = content;
+            const output = { name: stage.name, text: content.trim() };
+            if (stage.output === 'activate') {
+                output.ids = resolveSelectionIds(parseUIDs(content), registry.entries).filter(id => !registry.hidden?.has(id));
+                const added = output.ids.filter(id => !analysis.ids.includes(id));
+                analysis.ids.push(...added);
+                activated ||= added.length > 0;
+            }
+            analysis.stageOutputs[stage.id] = output;
+            previousOutput = output.text;
+            log(`Stage "${stage.name}" complete.`, { output: stage.output, ids: output.ids });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            record.error = error.message;
+            log(`Stage "${stage.name}" failed, continuing without it.`, { error: error.message });
+            window.toastr.warning(`Stage "${stage.name}" failed: ${error.message}`, LOG_PREFIX);
+        } finally {
+            record.ms = Math.round(performance.now() - stageStart);
+        }
+    }
+    if (activated) {
+        // Entries added by stages go through the same rules as the agent's picks.
+        const adjustments = analysis.adjustments || [];
+        applySelectionRules(analysis, registry.entries, endIndex);
+        analysis.adjustments = [...adjustments, ...analysis.adjustments];
+        analysis.names = Object.fromEntries(analysis.ids.map(id => [id, analysis.names?.[id] ?? registry.entries.find(entry => entry.id === id)?.comment ?? '']));
+        if (run) recordAnalysis(run, analysis);
+    }
+    Promise.all(usage.pending).then(() => {
+        if (!run) return;
+        Object.assign(run.tokens, {
+            stagePrompt: usage.requests.reduce((sum, request) => sum + request.promptTokens, 0),
+            stageResponse: usage.requests.reduce((sum, request) => sum + request.responseTokens, 0),
+            stageCalls: usage.requests.length,
+        });
+    });
+}
+
+/**
+ * Injects text outputs or stores them in chat variables. Also used when an analysis is
+ * reused, so its stage outputs apply again without new model calls. Injections are
+ * removed after generation.
+ * @param {AnalysisResult} analysis
+ */
+async function applyStageOutputs(analysis) {
+    const context = getContext();
+    for (const stage of getPipelineSettings().stages.filter(item => item.enabled)) {
+        const output = analysis.stageOutputs?.[stage.id];
+        if (!output?.text || stage.output === 'activate') continue;
+        if (stage.output === 'variable') {
+            if (!STAGE_VARIABLE_PATTERN.test(stage.variableName)) {
+                log(`Stage "${stage.name}" has an invalid variable name, output not stored.`, { variableName: stage.variableName });
+                continue;
+            }
+            await context.executeSlashCommandsWithOptions(`/setvar key=${stage.variableName} ${JSON.stringify(output.text)}`, { showOutput: false });
+            log(`Stage "${stage.name}" output stored in variable "${stage.variableName}".`);
+        } else {
+            const id = `ps_stage_${stage.id}`;
+            await context.executeSlashCommandsWithOptions(`/inject id=${id} position=${stage.injectPosition} depth=${stage.injectDepth} role=${stage.injectRole} ${JSON.stringify(output.text)}`, { showOutput: false });
+            pipelineState.stageInjections.push(id);
+            log(`Stage "${stage.name}" output injected.`, { position: stage.injectPosition, depth: stage.injectDepth });
+        }
+    }
+}
+
+
+// ============================================================================
+//  PIPELINE ORCHESTRATION
+// ============================================================================
+
+/**
+ * Decides what the pipeline does for a generation: analyze, diversify, reuse the last
+ * analysis or skip. Applies the per-type setting, the last speaker rule and the turn interval.
+ * @returns {'analyze'|'reuse'|'diversify'|'skip'}
+ */
+function resolveTriggerAction(type, settings, targetIndex) {
+    if (type === 'dry-run') return 'skip';
+    const action = settings.generationTypeActions[type] ?? settings.generationTypeActions.normal;
+    if (action === 'skip') return 'skip';
+    const previous = (getContext().chat || [])[targetIndex - 1];
+    if (previous && settings.skipLastSpeaker !== 'none' && (settings.skipLastSpeaker === 'user') === !!previous.is_user) {
+        log(`Last message is from the ${settings.skipLastSpeaker}, skipping the pipeline.`);
+        return 'skip';
+    }
+    if (action === 'analyze' && settings.analyzeEveryNTurns > 1) {
+        const last = getLastAnalysis(targetIndex);
+        const turns = last ? countTurnsWithAnalysis(last, targetIndex) : Infinity;
+        if (turns < settings.analyzeEveryNTurns) {
+            log(`Last analysis used for ${turns} of ${settings.analyzeEveryNTurns} turns, reusing it.`);
+            return 'reuse';
+        }
+    }
+    return action;
+}
+
+async function handlePipelineTrigger(data) {
+    const settings = getPipelineSettings();
+    const eventType = pipelineState.generationType || data?.type || 'normal';
+    pipelineState.generationType = null;
+
+    if (!settings.enabled || pipelineState.isRunning) {
+        return true;
+    }
+
+    const chat = getContext().chat || [];
+    const isRegen = eventType === 'swipe' || eventType === 'regenerate';
+    // Swipes and continuations generate into the last message; everything else creates a new one.
+    const inPlace = eventType === 'swipe' || eventType === 'continue';
+    const targetIndex = inPlace ? chat.length - 1 : chat.length;
+    const action = resolveTriggerAction(eventType, settings, targetIndex);
+    if (action === 'skip') {
+        log(`Pipeline skipped for "${eventType}" generation.`);
+        // A dry run only builds the prompt, no turn was skipped.
+        if (eventType === 'dry-run') return true;
+        emitPipelineEvent(PIPELINE_EVENTS.PIPELINE_SKIPPED, { type: eventType, targetIndex });
+        return true;
     }
 
     pipelineState.isRunning = true;
     pipelineState.lastActivity = Date.now();
+    const controller = new AbortController();
+    pipelineState.abortController = controller;
+    let analysis = null;
+    const run = startRunRecord(eventType);
     log(`Pipeline triggered for event: ${eventType}`);
 
     try {
         showStatusIndicator('Analyzing...');
-        await restoreUserSettings();
+        const cached = action === 'reuse'
+            ? (inPlace || isRegen ? getCachedAnalysis(targetIndex, chat[targetIndex]?.swipe_id ?? 0) : null) ?? getLastAnalysis(targetIndex)
+            : null;
 
-        const context = getContext();
-        userOriginalSettings.api = context.api;
-        userOriginalSettings.model = context.model;
-        log('Saved user settings', { ...userOriginalSettings });
-
-        const isRegen = eventType === 'swipe' || eventType === 'regenerate';
-        let uidsToActivate;
-
-        if (isRegen && pipelineState.cachedAnalysis) {
-            log('Using cached analysis for regeneration.');
-            if (settings.smartRegeneration) {
-                await applySmartRegeneration();
+        if (cached) {
+            log(`Reusing a cached analysis for "${eventType}" generation.`);
+            if (isRegen && settings.smartRegeneration) {
+                await applySmartRegeneration(targetIndex);
             }
-            uidsToActivate = pipelineState.cachedAnalysis;
+            analysis = cached;
+            recordAnalysis(run, cached);
+            run.status = 'cached';
         } else {
-            pipelineState.cachedAnalysis = null;
-            log('Starting new analysis stage...');
-            const registry = await getLorebookRegistry(settings.lorebookFile);
-            if (registry.startsWith('[ERROR:') || registry.startsWith('[CRITICAL ERROR:')) {
-                throw new Error(registry);
-            }
-            const history = getRecentChatMessages(settings.contextDepth);
-            const character = getCharacterData();
-            const analysisPrompt = (settings.analysisPromptTemplate || DEFAULT_ANALYSIS_PROMPT)
-                .replace('{{registry}}', registry)
-                .replace('{{history}}', history)
-                .replace('{{character}}', character);
-            
-            await applyModelEnvironment('stage1');
-            const result = await context.executeSlashCommandsWithOptions(`/genraw ${JSON.stringify(analysisPrompt)}`, { showOutput: false, handleExecutionErrors: true });
-            if (result?.isError) throw new Error(`Analysis failed: ${result.errorMessage}`);
-            
-            uidsToActivate = parseUIDs(result.pipe || '');
-            pipelineState.cachedAnalysis = uidsToActivate;
-            log('Analysis complete', { uids: uidsToActivate });
-        }
-
-        if (uidsToActivate.length > 0) {
-            log(`Activating ${uidsToActivate.length} lorebook entries...`);
-            for (const uid of uidsToActivate) {
-                const script = `/wi-trigger file="${settings.lorebookFile}" uid=${uid} now=false`;
-                await context.executeSlashCommandsWithOptions(script, { showOutput: false, handleExecutionErrors: true });
+            const analysisStart = performance.now();
+            analysis = isRegen ? null : await takeSpeculativeAnalysis(targetIndex, controller.signal);
+            if (controller.signal.aborted) throw controller.signal.reason;
+            if (analysis) {
+                recordAnalysis(run, analysis);
+                run.status = 'speculative';
+            } else {
+                log(action === 'diversify' ? 'Starting diversified re-analysis...' : 'Starting new analysis stage...');
+                analysis = await runAnalysis(targetIndex, { signal: controller.signal, run, diversify: action === 'diversify' });
+                run.status = 'ok';
             }
+            run.timings.analysis = Math.round(performance.now() - analysisStart);
+            log('Analysis complete', { ids: analysis.ids, rationales: analysis.rationales, fallback: analysis.fallback });
+            const stagesStart = performance.now();
+            await runExtraStages(analysis, targetIndex, { signal: controller.signal, run });
+            if (run.stages.length > 0) run.timings.stages = Math.round(performance.now() - stagesStart);
+        }
+        pipelineState.cachedAnalysis = analysis;
+        pipelineState.pendingAnalysis = analysis;
+        const idsToActivate = analysis.ids;
+
+        const activationStart = performance.now();
+        if (idsToActivate.length > 0) {
+            await activateEntries(idsToActivate);
         } else {
             log('No UIDs were selected by the analysis agent.');
         }
+        run.timings.activation = Math.round(performance.now() - activationStart);
+        await applyAnalysisForwarding(analysis);
+        await applyStageOutputs(analysis);
+
+        run.generationStart = performance.now();
+        showStatusIndicator('Generating response...');
+        log('Pipeline setup complete, handing over to generation.');
+        return true;
+
+    } catch (error) {
+        if (controller.signal.aborted) {
+            run.status = 'cancelled';
+            log('Pipeline cancelled by the user.');
+            return false;
+        }
+        run.status = 'failed';
+        run.error = error.message;
+        log('Pipeline failed', { error: error.message });
+        window.toastr.error(`Pipeline failed: ${error.message}`, LOG_PREFIX);
+        return false;
+        
+    } finally {
+        pipelineState.isRunning = false;
+        pipelineState.abortController = null;
+        if (analysis?.fallback && !controller.signal.aborted) {
+            showStatusIndicator(`Fallback used: ${FALLBACK_STEP_LABELS[analysis.fallback]}`, true);
+            setTimeout(hideStatusIndicator, 5000);
+        } else {
+            hideStatusIndicator();
+        }
+    }
+}
+
+/**
+ * Runs the analysis without generating.
+ * @returns {Promise<string[]|null>} Selected IDs, or null if the run failed.
+ */
+async function runAnalysisDryRun() {
+    log('Starting analysis dry run...');
+    const settings = getPipelineSettings();
+    if (!settings.lorebooks.some(book => book.enabled)) {
+        window.toastr.warning('Please select a lorebook file first.', LOG_PREFIX);
+        return null;
+    }
+    window.toastr.info('Running analysis dry run...', LOG_PREFIX);
+
+    const run = startRunRecord('dry-run');
+    try {
+        const analysisStart = performance.now();
+        const { ids, rationales } = await runAnalysis(undefined, { run });
+        run.timings.analysis = Math.round(performance.now() - analysisStart);
+        run.status = 'ok';
+        let message = `Dry run complete. Analysis would activate UIDs: ${ids.join(', ') || 'None'}`;
+        log(message, { ids, rationales });
+        if (!getSelectionBackend(settings.selectionBackend).local) {
+            try {
+                const baselines = await runLocalBaselines();
+                for (const baseline of baselines) {
+                    const shared = baseline.ids.filter(id => ids.includes(id)).length;
+                    message += `. ${baseline.label}: ${baseline.ids.join(', ') || 'None'} (${shared} shared)`;
+                }
+                log('Local baselines for the dry run', { baselines });
+            } catch (error) {
+                log('Local baselines failed', { error: error.message });
+            }
+        }
+        window.toastr.success(message, 'Analysis Dry Run Result');
+        return ids;
+
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        log('Dry run failed', { error: error.message });
+        window.toastr.error(`Dry run failed: ${error.message}`, LOG_PREFIX);
+        return null;
+    }
+}
+
+
+// ============================================================================
+//  EVALUATION
+// ============================================================================
+
+/**
+ * Snapshots are kept in the metadata of the chat they were taken from. Snapshots that
+ * older versions kept in the settings are moved into the first chat opened.
+ * @returns {EvalSnapshot[]}
+ */
+function getEvalSnapshots() {
+    const context = getContext();
+    const chatState = getChatState();
+    chatState.evalSnapshots ??= [];
+    const settings = getSettings();
+    if (context.chatMetadata && Array.isArray(settings.evalSnapshots)) {
+        const known = new Set(chatState.evalSnapshots.map(snapshot => snapshot.id));
+        chatState.evalSnapshots.push(...settings.evalSnapshots.filter(snapshot => !known.has(snapshot?.id)));
+        log(`Moved ${settings.evalSnapshots.length} evaluation snapshots from the settings into this chat.`);
+        delete settings.evalSnapshots;
+        context.saveMetadata();
+        saveSettings();
+    }
+    return chatState.evalSnapshots;
+}
+
+/**
+ * Saves the open chat's current state as an evaluation snapshot.
+ * @param {string} name
+ * @param {string[]} expected
+ * @param {{ text: string, entries: object[] }} [registry] Fetched if not given.
+ * @returns {Promise<EvalSnapshot>}
+ */
+async function saveEvalSnapshot(name, expected, registry) {
+    const settings = getPipelineSettings();
+    registry ??= await getLorebookRegistry(settings.lorebooks);
+    assertRegistryLoaded(registry);
+    const snapshot = {
+        id: Math.random().toString(36).slice(2, 10),
+        name,
+        created: Date.now(),
+        variables: await getTemplateVariables(settings, undefined, registry),
+        macros: captureMacroContext(),
+        entries: registry.entries.map(({ id, uid, world, comment, key, keysecondary, content, order }) => ({ id, uid, world, comment, key, keysecondary, content, order })),
+        expected,
+    };
+    getEvalSnapshots().push(snapshot);
+    getContext().saveMetadata();
+    log(`Evaluation snapshot "${name}" saved.`, { entries: snapshot.entries.length, expected });
+    return snapshot;
+}
+
+function exportEvalSnapshots() {
+    const snapshots = getEvalSnapshots();
+    const blob = new Blob([JSON.stringify(snapshots, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `pseudobbl-snapshots-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    log(`Exported ${snapshots.length} evaluation snapshots.`);
+}
+
+/**
+ * Adds the snapshots of a JSON export to the open chat. Snapshots it already has are skipped.
+ * @param {File} file
+ * @returns {Promise<number>} Number of imported snapshots.
+ */
+async function importEvalSnapshots(file) {
+    const data = JSON.parse(await file.text());
+    const snapshots = (Array.isArray(data) ? data : [data]).filter(snapshot => snapshot && typeof snapshot.id === 'string'
+        && typeof snapshot.name === 'string' && snapshot.variables && typeof snapshot.variables === 'object'
+        && Array.isArray(snapshot.entries) && Array.isArray(snapshot.expected));
+    if (snapshots.length === 0) throw new Error('The file contains no evaluation snapshots.');
+    const existing = getEvalSnapshots();
+    const known = new Set(existing.map(snapshot => snapshot.id));
+    const added = snapshots.filter(snapshot => !known.has(snapshot.id));
+    existing.push(...added);
+    if (added.length > 0) getContext().saveMetadata();
+    log(`Imported ${added.length} evaluation snapshots from "${file.name}".`);
+    return added.length;
+}
+
+function scoreSelection(ids, expected) {
+    const hits = ids.filter(id => expected.includes(id)).length;
+    return {
+        hits,
+        precision: ids.length > 0 ? hits / ids.length : (expected.length > 0 ? 0 : 1),
+        recall: expected.length > 0 ? hits / expected.length : 1,
+    };
+}
+
+/**
+ * Sums up one template's results: micro-averaged precision and recall, entries chosen
+ * more often than expected, and entries that were never chosen.
+ * @param {EvalResult[]} results
+ * @param {EvalSnapshot[]} snapshots
+ */
+function summarizeEvaluation(results, snapshots) {
+    const scored = results.filter(result => !result.error);
+    const hits = scored.reduce((sum, result) => sum + result.hits, 0);
+    const chosen = scored.reduce((sum, result) => sum + result.ids.length, 0);
+    const expected = scored.reduce((sum, result) => sum + result.expected.length, 0);
+    const counts = new Map();
+    const names = new Map();
+    for (const snapshot of snapshots) {
+        snapshot.entries.forEach(entry => names.set(entry.id, entry.comment || ''));
+    }
+    const count = (id) => {
+        if (!counts.has(id)) counts.set(id, { id, name: names.get(id) || '', chosen: 0, expected: 0 });
+        return counts.get(id);
+    };
+    for (const result of scored) {
+        result.ids.forEach(id => count(id).chosen++);
+        result.expected.forEach(id => count(id).expected++);
+    }
+    names.forEach((name, id) => count(id));
+    const all = [...counts.values()];
+    return {
+        precision: chosen > 0 ? hits / chosen : (expected > 0 ? 0 : 1),
+        recall: expected > 0 ? hits / expected : 1,
+        failed: results.length - scored.length,
+        overChosen: all.filter(item => item.chosen > item.expected).sort((a, b) => (b.chosen - b.expected) - (a.chosen - a.expected)),
+        neverChosen: all.filter(item => item.chosen === 0).sort((a, b) => b.expected - a.expected),
+    };
+}
+
+/**
+ * Runs the selection over each snapshot with the given backend and template. Selection
+ * rules are not applied, so results depend only on the backend and the prompt.
+ * @param {EvalSnapshot[]} snapshots
+ * @param {{ backendId: string, template: string, api?: string, model?: string, temperature?: number, usage?: AnalysisUsage, signal?: AbortSignal, onProgress?: (done: number) => void }} options
+ *   Pass a `usage` with `skipChatTotals` so the requests do not count towards the open chat.
+ * @returns {Promise<EvalResult[]>}
+ */
+async function runEvaluation(snapshots, { backendId, template, api, model, temperature, usage, signal, onProgress }) {
+    const settings = getPipelineSettings();
+    const backend = getSelectionBackend(backendId);
+    const results = [];
+    for (const snapshot of snapshots) {
+        if (signal?.aborted) throw signal.reason;
+        const result = { snapshotId: snapshot.id, ids: [], expected: snapshot.expected };
+        try {
+            const prompt = backend.local ? '' : renderAnalysisPrompt(template, snapshot.variables, settings, snapshot.macros);
+            const selection = await backend.select({ prompt, entries: snapshot.entries, history: snapshot.variables.history, api, model, temperature, usage, signal });
+            result.ids = selection.ids;
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            result.error = error.message;
+            log(`Evaluation of snapshot "${snapshot.name}" failed.`, { error: error.message });
+        }
+        Object.assign(result, scoreSelection(result.ids, result.expected));
+        results.push(result);
+        onProgress?.(results.length);
+    }
+    return results;
+}
+
+
+// ============================================================================
+//  UI MANAGEMENT
+// ============================================================================
+
+function showStatusIndicator(message, isWarning = false) {
+    let indicator = document.getElementById('pipeline-status-indicator');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.id = 'pipeline-status-indicator';
+        indicator.className = 'pipeline-status-indicator';
+        document.body.appendChild(indicator);
+    }
+    indicator.textContent = `[PseudoBBL] ${message}`;
+    indicator.classList.toggle('warning', isWarning);
+    indicator.classList.add('active');
+}
+
+function hideStatusIndicator() {
+    const indicator = document.getElementById('pipeline-status-indicator');
+    if (indicator) {
+        indicator.classList.remove('active');
+    }
+}
+
+function formatRunLabel(run) {
+    const time = new Date(run.timestamp).toLocaleTimeString();
+    return `#${run.id} ${time} - ${run.trigger} - ${run.status}${run.imported ? ' (imported)' : ''}`;
+}
+
+function renderRunDetails(container, run) {
+    container.innerHTML = '';
+    if (!run) {
+        container.textContent = 'No pipeline runs recorded yet.';
+        return;
+    }
+    const activation = run.activation.confirmed
+        ? `Confirmed: ${run.activation.confirmed.join(', ') || 'None'}\nMissing: ${run.activation.missing.join(', ') || 'None'}`
+        : 'Not confirmed by a world info scan.';
+    const timings = Object.entries(run.timings).map(([stage, ms]) => `${stage}: ${ms} ms`).join('\n') || 'None';
+    const tokens = run.tokens
+        ? `Stage 1 prompt: ${run.tokens.prompt}\nStage 1 response: ${run.tokens.response}\nStage 1 requests: ${run.tokens.calls}\nEntries added to Stage 2: ${run.tokens.entries}`
+            + (run.tokens.stageCalls ? `\nExtra stages prompt: ${run.tokens.stagePrompt}\nExtra stages response: ${run.tokens.stageResponse}\nExtra stage requests: ${run.tokens.stageCalls}` : '')
+        : 'Not recorded.';
+    const sections = [
+        ['Summary', [
+            `Trigger: ${run.trigger}`,
+            `Status: ${run.status}${run.error ? ` (${run.error})` : ''}`,
+            `Time: ${new Date(run.timestamp).toLocaleString()}`,
+            `Stage 1: ${run.models.stage1.api || 'N/A'} / ${run.models.stage1.model || 'N/A'}`,
+            `Stage 2: ${run.models.stage2.api} / ${run.models.stage2.model}`,
+            `Fallback: ${run.fallback ? FALLBACK_STEP_LABELS[run.fallback] : 'None'}`,
+        ].join('\n'), true],
+        ['Selected Entries', run.selections.map(item => `${item.id} ${item.name || '(unnamed)'}${item.rationale ? ` - ${item.rationale}` : ''}`).join('\n') || 'None', true],
+        ['Rule Adjustments', run.adjustments.map(item => `${item.action} ${item.id} (${item.rule}): ${item.detail}`).join('\n') || 'None', false],
+        [`Activation (${run.activation.backend})`, activation, true],
+        ['Latency', timings, true],
+        ['Tokens', tokens, true],
+        ['Extra Stages', (run.stages || []).map(stage => `## ${stage.name} (${stage.ms} ms)${stage.error ? `\nFailed: ${stage.error}` : ''}\n${stage.response || '(no output)'}`).join('\n\n') || 'None', false],
+        ['Analysis Prompt', run.prompt || '(not recorded)', false],
+        ['Raw Response', run.response || '(not recorded)', false],
+        ['Reasoning', run.reasoning || '(none)', false],
+    ];
+    for (const [title, text, open] of sections) {
+        const details = document.createElement('details');
+        details.open = open;
+        details.innerHTML = '<summary></summary><pre class="ps-run-text"></pre>';
+        details.querySelector('summary').textContent = title;
+        details.querySelector('pre').textContent = text;
+        container.appendChild(details);
+    }
+}
+
+function exportRuns() {
+    const blob = new Blob([JSON.stringify(pipelineState.runs, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `pseudobbl-runs-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    log(`Exported ${pipelineState.runs.length} run records.`);
+}
+
+/**
+ * Fills in the parts of an imported run record the inspector reads, so a partial or
+ * hand-edited export cannot break it.
+ * @param {object} run Parsed record from the export.
+ * @param {number} id ID the record gets in this session's run history.
+ * @returns {RunRecord}
+ */
+function normalizeImportedRun(run, id) {
+    const asObject = (value) => value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const asArray = (value) => Array.isArray(value) ? value : [];
+    const activation = asObject(run.activation);
+    const models = asObject(run.models);
+    const confirmed = Array.isArray(activation.confirmed) && Array.isArray(activation.missing);
+    return {
+        ...run,
+        id,
+        imported: true,
+        trigger: String(run.trigger),
+        status: String(run.status || 'unknown'),
+        selections: asArray(run.selections).filter(item => item && typeof item.id === 'string'),
+        adjustments: asArray(run.adjustments),
+        stages: asArray(run.stages),
+        timings: asObject(run.timings),
+        activation: {
+            backend: String(activation.backend || 'unknown'),
+            confirmed: confirmed ? activation.confirmed : null,
+            missing: confirmed ? activation.missing : null,
+        },
+        models: {
+            stage1: { api: '', model: '', ...asObject(models.stage1) },
+            stage2: { api: '', model: '', ...asObject(models.stage2) },
+        },
+        tokens: run.tokens ? { prompt: 0, response: 0, entries: 0, calls: 0, stagePrompt: 0, stageResponse: 0, stageCalls: 0, ...asObject(run.tokens) } : undefined,
+    };
+}
+
+/**
+ * Reads run records from a JSON export and appends them to the run history.
+ * @param {File} file
+ * @returns {Promise<number>} Number of imported runs.
+ */
+async function importRuns(file) {
+    const data = JSON.parse(await file.text());
+    const runs = (Array.isArray(data) ? data : [data]).filter(run => run && typeof run === 'object' && run.trigger);
+    if (runs.length === 0) throw new Error('The file contains no run records.');
+    let nextId = (pipelineState.runs[pipelineState.runs.length - 1]?.id ?? 0) + 1;
+    for (const run of runs) {
+        pipelineState.runs.push(normalizeImportedRun(run, nextId++));
+    }
+    pipelineState.runs.splice(0, Math.max(0, pipelineState.runs.length - MAX_RUN_RECORDS));
+    log(`Imported ${runs.length} run records from "${file.name}".`);
+    return runs.length;
+}
+
+function showRunInspector() {
+    const popupContent = document.createElement('div');
+    popupContent.className = 'ps-run-inspector';
+    popupContent.innerHTML = `
+        <h4>Pipeline Runs</h4>
+        <div class="ps-run-toolbar">
+            <select class="text_pole ps-run-select"></select>
+            <button class="menu_button ps-run-export" title="Download all runs as JSON"><i class="fa-solid fa-file-export"></i> Export</button>
+            <button class="menu_button ps-run-import" title="Load runs from a JSON export"><i class="fa-solid fa-file-import"></i> Import</button>
+            <input type="file" accept=".json,application/json" hidden>
+        </div>
+        <div class="ps-run-details"></div>`;
+    const select = popupContent.querySelector('.ps-run-select');
+    const details = popupContent.querySelector('.ps-run-details');
+    const fileInput = popupContent.querySelector('input[type="file"]');
+    const refresh = (selectedId) => {
+        select.innerHTML = '';
+        pipelineState.runs.slice().reverse().forEach(run => {
+            const option = document.createElement('option');
+            option.value = String(run.id);
+            option.textContent = formatRunLabel(run);
+            select.appendChild(option);
+        });
+        if (selectedId !== undefined) select.value = String(selectedId);
+        renderRunDetails(details, pipelineState.runs.find(run => String(run.id) === select.value));
+    };
+    select.onchange = () => renderRunDetails(details, pipelineState.runs.find(run => String(run.id) === select.value));
+    popupContent.querySelector('.ps-run-export').onclick = exportRuns;
+    popupContent.querySelector('.ps-run-import').onclick = () => fileInput.click();
+    fileInput.onchange = async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        try {
+            const count = await importRuns(file);
+            refresh(pipelineState.runs[pipelineState.runs.length - 1].id);
+            window.toastr.success(`Imported ${count} run record${count === 1 ? '' : 's'}.`, LOG_PREFIX);
+        } catch (error) {
+            log('Run import failed', { error: error.message });
+            window.toastr.error(`Import failed: ${error.message}`, LOG_PREFIX);
+        }
+        fileInput.value = '';
+    };
+    refresh();
+    callGenericPopup(popupContent, POPUP_TYPE.TEXT, 'Run Inspector', { wide: true, large: true });
+}
+
+async function showSaveSnapshotPopup() {
+    let registry;
+    try {
+        registry = await getLorebookRegistry(getPipelineSettings().lorebooks);
+        assertRegistryLoaded(registry);
+    } catch (error) {
+        window.toastr.error(`Cannot save a snapshot: ${error.message}`, LOG_PREFIX);
+        return;
+    }
+    const context = getContext();
+    const lastIds = getLastAnalysis(context.chat?.length ?? 0)?.ids || [];
+    const popupContent = document.createElement('div');
+    popupContent.className = 'ps-eval';
+    popupContent.innerHTML = `
+        <h4>Save Evaluation Snapshot</h4>
+        <label>Name</label><input type="text" class="text_pole ps-eval-name">
+        <label>Entries that should be chosen</label>
+        <small>Pre-checked with the last selection.</small>
+        <div class="ps-eval-entries"></div>`;
+    popupContent.querySelector('.ps-eval-name').value = `${context.name2 || 'Chat'} #${context.chat?.length ?? 0}`;
+    const list = popupContent.querySelector('.ps-eval-entries');
+    for (const entry of registry.entries) {
+        const label = document.createElement('label');
+        label.className = 'checkbox_label';
+        label.innerHTML = '<input type="checkbox"><span></span>';
+        label.querySelector('input').value = entry.id;
+        label.querySelector('input').checked = lastIds.includes(entry.id);
+        label.querySelector('span').textContent = `${entry.id} ${entry.comment || '(unnamed)'}`;
+        list.appendChild(label);
+    }
+    if (!await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Save' })) return;
+    const name = popupContent.querySelector('.ps-eval-name').value.trim() || `Snapshot ${getEvalSnapshots().length + 1}`;
+    const expected = [...list.querySelectorAll('input:checked')].map(input => input.value);
+    try {
+        await saveEvalSnapshot(name, expected, registry);
+        window.toastr.success(`Snapshot "${name}" saved with ${expected.length} expected entr${expected.length === 1 ? 'y' : 'ies'}.`, LOG_PREFIX);
+    } catch (error) {
+        log('Saving the snapshot failed', { error: error.message });
+        window.toastr.error(`Saving the snapshot failed: ${error.message}`, LOG_PREFIX);
+    }
+}
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ backend: string, model: string, snapshots: EvalSnapshot[], templates: { label: string, results: EvalResult[] }[], tokens?: { prompt: number, response: number, calls: number } }} report
+ */
+function renderEvaluationReport(container, report) {
+    container.innerHTML = '';
+    const summaries = report.templates.map(item => summarizeEvaluation(item.results, report.snapshots));
+    const table = document.createElement('table');
+    table.className = 'ps-eval-table';
+    const header = table.insertRow();
+    ['Snapshot', 'Expected', ...report.templates.map(item => item.label)].forEach(title => {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    });
+    report.snapshots.forEach((snapshot, index) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = snapshot.name;
+        row.insertCell().textContent = String(snapshot.expected.length);
+        for (const { results } of report.templates) {
+            const result = results[index];
+            const cell = row.insertCell();
+            cell.textContent = result.error ? 'Failed' : `P ${formatPercent(result.precision)} / R ${formatPercent(result.recall)}`;
+            cell.title = result.error || `Chosen: ${result.ids.join(', ') || 'None'}\nExpected: ${result.expected.join(', ') || 'None'}`;
+        }
+    });
+    const total = table.insertRow();
+    total.className = 'ps-eval-total';
+    total.insertCell().textContent = 'Overall';
+    total.insertCell().textContent = String(report.snapshots.reduce((sum, snapshot) => sum + snapshot.expected.length, 0));
+    summaries.forEach(summary => {
+        total.insertCell().textContent = `P ${formatPercent(summary.precision)} / R ${formatPercent(summary.recall)}${summary.failed ? ` (${summary.failed} failed)` : ''}`;
+    });
+    const heading = document.createElement('small');
+    const tokens = report.tokens?.calls ? ` ${report.tokens.calls} requests, ${report.tokens.prompt} prompt and ${report.tokens.response} response tokens.` : '';
+    heading.textContent = `Backend: ${report.backend}${report.model ? ` (${report.model})` : ''}.${tokens} Hover a cell for the chosen and expected UIDs.`;
+    container.append(heading, table);
+
+    const describe = (item) => `${item.id} ${item.name || '(unnamed)'}: chosen ${item.chosen}, expected ${item.expected}`;
+    report.templates.forEach(({ label }, index) => {
+        const { overChosen, neverChosen } = summaries[index];
+        for (const [title, items] of [[`Chosen Too Often (${label})`, overChosen], [`Never Chosen (${label})`, neverChosen]]) {
+            const details = document.createElement('details');
+            details.innerHTML = '<summary></summary><pre class="ps-run-text"></pre>';
+            details.querySelector('summary').textContent = `${title}: ${items.length}`;
+            details.querySelector('pre').textContent = items.map(describe).join('\n') || 'None';
+            container.appendChild(details);
+        }
+    });
+}
+
+function showEvaluationPanel() {
+    const pipeline = getPipelineSettings();
+    const model = { api: pipeline.stage1Api, model: pipeline.stage1Model };
+    let controller = null;
+    let lastReport = null;
+    const popupContent = document.createElement('div');
+    popupContent.className = 'ps-eval ps-run-inspector';
+    popupContent.innerHTML = `
+        <h4>Evaluation</h4>
+        <small>Save snapshots with the "Save Snapshot" button while a chat is open. Unchecked snapshots are skipped. Snapshots are saved in the chat they were taken from; export them to use them in other chats.</small>
+        <div class="ps-eval-snapshots"></div>
+        <div class="ps-run-toolbar">
+            <button class="menu_button ps-eval-snapshot-export" title="Download the snapshots as JSON"><i class="fa-solid fa-file-export"></i> Export Snapshots</button>
+            <button class="menu_button ps-eval-snapshot-import" title="Load snapshots from a JSON export"><i class="fa-solid fa-file-import"></i> Import Snapshots</button>
+            <input type="file" accept=".json,application/json" hidden>
+        </div>
+        <label>Backend</label>
+        <select class="text_pole ps-eval-backend"></select>
+        <div class="ps-eval-model" style="display: flex; gap: 5px; align-items: center;">
+            <div class="api-display ps-eval-model-display" style="flex: 1;"></div>
+            <button class="menu_button ps-eval-pick">Choose</button>
+            <input type="number" class="text_pole ps-eval-temperature" min="0" max="2" step="0.05" value="0" title="Temperature. Keep it at 0 for reproducible results." style="width: 80px;">
+        </div>
+        <small>Local backends are deterministic stand-ins for the model. A model served locally through a SillyTavern connection can be chosen as well.</small>
+        <label>Template B (optional)</label>
+        <textarea class="text_pole ps-eval-template" rows="6" placeholder="Leave empty to only evaluate the current analysis prompt (template A)."></textarea>
+        <button class="menu_button ps-eval-default">Load Default Template</button>
+        <div class="ps-run-toolbar">
+            <button class="menu_button ps-eval-run"><i class="fa-solid fa-play"></i> Run</button>
+            <button class="menu_button ps-eval-stop" disabled><i class="fa-solid fa-stop"></i> Stop</button>
+            <button class="menu_button ps-eval-export" disabled><i class="fa-solid fa-file-export"></i> Export</button>
+            <span class="ps-eval-progress"></span>
+        </div>
+        <div class="ps-eval-report ps-run-details"></div>`;
+    const snapshotList = popupContent.querySelector('.ps-eval-snapshots');
+    const backendSelect = popupContent.querySelector('.ps-eval-backend');
+    const modelRow = popupContent.querySelector('.ps-eval-model');
+    const modelDisplay = popupContent.querySelector('.ps-eval-model-display');
+    const templateInput = popupContent.querySelector('.ps-eval-template');
+    const runButton = popupContent.querySelector('.ps-eval-run');
+    const stopButton = popupContent.querySelector('.ps-eval-stop');
+    const exportButton = popupContent.querySelector('.ps-eval-export');
+    const progress = popupContent.querySelector('.ps-eval-progress');
+    const reportContainer = popupContent.querySelector('.ps-eval-report');
+
+    const fileInput = popupContent.querySelector('input[type="file"]');
+
+    const renderSnapshots = () => {
+        const snapshots = getEvalSnapshots();
+        snapshotList.innerHTML = snapshots.length === 0 ? '<small>No snapshots saved in this chat yet.</small>' : '';
+        snapshots.forEach((snapshot, index) => {
+            const row = document.createElement('div');
+            row.className = 'ps-eval-snapshot-row';
+            row.innerHTML = `
+                <input type="checkbox" checked>
+                <span class="ps-eval-snapshot-name"></span>
+                <button class="menu_button fa-solid fa-trash" title="Delete snapshot"></button>`;
+            row.querySelector('input').value = snapshot.id;
+            row.querySelector('.ps-eval-snapshot-name').textContent = `${snapshot.name} (${snapshot.expected.length} expected, ${snapshot.entries.length} entries)`;
+            row.querySelector('button').onclick = () => {
+                snapshots.splice(index, 1);
+                getContext().saveMetadata();
+                renderSnapshots();
+                log(`Evaluation snapshot "${snapshot.name}" deleted.`);
+            };
+            snapshotList.appendChild(row);
+        });
+    };
+    popupContent.querySelector('.ps-eval-snapshot-export').onclick = exportEvalSnapshots;
+    popupContent.querySelector('.ps-eval-snapshot-import').onclick = () => fileInput.click();
+    fileInput.onchange = async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        try {
+            const count = await importEvalSnapshots(file);
+            renderSnapshots();
+            window.toastr.success(`Imported ${count} snapshot${count === 1 ? '' : 's'}.`, LOG_PREFIX);
+        } catch (error) {
+            log('Snapshot import failed', { error: error.message });
+            window.toastr.error(`Import failed: ${error.message}`, LOG_PREFIX);
+        }
+        fileInput.value = '';
+    };
+    for (const [id, backend] of selectionBackends) backendSelect.add(new Option(backend.label, id));
+    backendSelect.value = pipeline.selectionBackend;
+    const updateModel = () => {
+        modelRow.style.display = getSelectionBackend(backendSelect.value).local ? 'none' : 'flex';
+        modelDisplay.textContent = `${model.api} / ${model.model}`;
+    };
+    backendSelect.onchange = updateModel;
+    popupContent.querySelector('.ps-eval-pick').onclick = async () => {
+        const picked = await pickModel('Select Model for the Evaluation', model.api, model.model);
+        if (picked?.model) Object.assign(model, picked);
+        updateModel();
+    };
+    popupContent.querySelector('.ps-eval-default').onclick = () => {
+        templateInput.value = DEFAULT_ANALYSIS_PROMPT;
+    };
+    stopButton.onclick = () => controller?.abort(new Error('Evaluation stopped.'));
+    exportButton.onclick = () => {
+        const blob = new Blob([JSON.stringify(lastReport, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `pseudobbl-evaluation-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+    runButton.onclick = async () => {
+        const ids = [...snapshotList.querySelectorAll('input:checked')].map(input => input.value);
+        const snapshots = getEvalSnapshots().filter(snapshot => ids.includes(snapshot.id));
+        if (snapshots.length === 0) {
+            window.toastr.warning('Select at least one snapshot.', LOG_PREFIX);
+            return;
+        }
+        const backend = getSelectionBackend(backendSelect.value);
+        const templates = [{ label: 'A', template: getPipelineSettings().analysisPromptTemplate || DEFAULT_ANALYSIS_PROMPT }];
+        if (!backend.local && templateInput.value.trim()) templates.push({ label: 'B', template: templateInput.value });
+        const temperature = parseFloat(popupContent.querySelector('.ps-eval-temperature').value);
+        const options = backend.local ? { backendId: backendSelect.value } : {
+            backendId: backendSelect.value,
+            api: model.api,
+            model: model.model,
+            temperature: isNaN(temperature) ? 0 : temperature,
+        };
+        controller = new AbortController();
+        runButton.disabled = true;
+        stopButton.disabled = false;
+        const total = snapshots.length * templates.length;
+        let done = 0;
+        progress.textContent = `0 / ${total}`;
+        /** @type {AnalysisUsage} */
+        const usage = { requests: [], pending: [], skipChatTotals: true };
+        try {
+            const report = { backend: backend.label, model: backend.local ? '' : `${model.api} / ${model.model}`, snapshots, templates: [] };
+            for (const { label, template } of templates) {
+                const results = await runEvaluation(snapshots, {
+                    ...options,
+                    template,
+                    usage,
+                    signal: controller.signal,
+                    onProgress: () => {
+                        progress.textContent = `${++done} / ${total}`;
+                    },
+                });
+                report.templates.push({ label, template, results });
+            }
+            await Promise.all(usage.pending);
+            report.tokens = {
+                prompt: usage.requests.reduce((sum, request) => sum + request.promptTokens, 0),
+                response: usage.requests.reduce((sum, request) => sum + request.responseTokens, 0),
+                calls: usage.requests.length,
+            };
+            lastReport = report;
+            renderEvaluationReport(reportContainer, report);
+            exportButton.disabled = false;
+            log('Evaluation complete', { backend: options.backendId, snapshots: snapshots.length, templates: templates.length });
+        } catch (error) {
+            log('Evaluation stopped', { error: error.message });
+            window.toastr.warning(error.message, LOG_PREFIX);
+        } finally {
+            controller = null;
+            runButton.disabled = false;
+            stopButton.disabled = true;
+        }
+    };
+    renderSnapshots();
+    updateModel();
+    callGenericPopup(popupContent, POPUP_TYPE.TEXT, 'Evaluation', { wide: true, large: true, onClose: () => controller?.abort(new Error('Evaluation closed.')) });
+}
 
-        showStatusIndicator('Generating response...');
-        await applyModelEnvironment('stage2');
-        log('Pipeline setup complete, handing over to generation.');
-        return true;
-
-    } catch (error) {
-        log('Pipeline failed', { error: error.message });
-        window.toastr.error(`Pipeline failed: ${error.message}`, LOG_PREFIX);
-        await restoreUserSettings();
-        return false;
-        
-    } finally {
-        pipelineState.isRunning = false;
-        hideStatusIndicator();
+function createOverridePanel() {
+    const sendForm = document.getElementById('send_form');
+    const leftSendForm = document.getElementById('leftSendForm');
+    if (!sendForm || !leftSendForm) {
+        log('Send form not found, the pin/exclude panel is unavailable.');
+        return;
     }
+    const panel = document.createElement('div');
+    panel.id = 'ps_override_panel';
+    panel.className = 'ps-override-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+        <div class="ps-override-header">
+            <b>PseudoBBL: this chat</b>
+            <small>Pinned entries are always activated, excluded ones are hidden from the agent.</small>
+        </div>
+        <div class="ps-override-list"></div>`;
+    sendForm.before(panel);
+
+    const toggle = document.createElement('div');
+    toggle.id = 'ps_override_toggle';
+    toggle.className = 'fa-solid fa-thumbtack interactable';
+    toggle.title = 'PseudoBBL pins and exclusions';
+    toggle.tabIndex = 0;
+    toggle.onclick = () => {
+        panel.hidden = !panel.hidden;
+        renderOverridePanel();
+    };
+    leftSendForm.appendChild(toggle);
 }
 
-async function runAnalysisDryRun() {
-    log('Starting analysis dry run...');
-    const settings = getSettings();
-    if (!settings.lorebookFile) {
-        window.toastr.warning('Please select a lorebook file first.', LOG_PREFIX);
+async function renderOverridePanel() {
+    const panel = document.getElementById('ps_override_panel');
+    const toggle = document.getElementById('ps_override_toggle');
+    const { pins, excludes } = getSelectionOverrides();
+    toggle?.classList.toggle('ps-override-active', pins.length + excludes.length > 0);
+    if (!panel || panel.hidden) return;
+    const list = panel.querySelector('.ps-override-list');
+    const books = getPipelineSettings().lorebooks.filter(book => book.enabled && book.name);
+    if (books.length === 0) {
+        list.textContent = 'No lorebooks enabled.';
         return;
     }
-    window.toastr.info('Running analysis dry run...', LOG_PREFIX);
-    
-    const context = getContext();
-    const originalApi = context.api;
-    const originalModel = context.model;
-
-    try {
-        const registry = await getLorebookRegistry(settings.lorebookFile);
-        if (registry.startsWith('[ERROR:') || registry.startsWith('[CRITICAL ERROR:')) throw new Error(registry);
-        const history = getRecentChatMessages(settings.contextDepth);
-        const character = getCharacterData();
-        const analysisPrompt = (settings.analysisPromptTemplate || DEFAULT_ANALYSIS_PROMPT)
-            .replace('{{registry}}', registry)
-            .replace('{{history}}', history)
-            .replace('{{character}}', character);
-        
-        await applyModelEnvironment('stage1');
-        const result = await context.executeSlashCommandsWithOptions(`/genraw ${JSON.stringify(analysisPrompt)}`, { showOutput: false, handleExecutionErrors: true });
-        if (result?.isError) throw new Error(`Analysis failed: ${result.errorMessage}`);
+    const fragment = document.createDocumentFragment();
+    for (const book of books) {
+        let entries;
+        try {
+            entries = (await fetchLorebookEntries(book.name)).filter(entry => !entry.disable);
+        } catch (error) {
+            log('Failed to load lorebook entries for the pin/exclude panel.', { error: error.message });
+            continue;
+        }
+        if (books.length > 1) {
+            const heading = document.createElement('div');
+            heading.className = 'ps-override-book';
+            heading.textContent = book.alias;
+            fragment.appendChild(heading);
+        }
+        for (const entry of entries) {
+            const id = `${book.alias}:${entry.uid}`;
+            const mode = pins.includes(id) ? 'pinned' : excludes.includes(id) ? 'excluded' : 'neutral';
+            const row = document.createElement('div');
+            row.className = `ps-override-row ${mode}`;
+            row.innerHTML = `
+                <span class="ps-override-name"></span>
+                <div class="menu_button fa-solid fa-thumbtack" data-mode="pinned" title="Pin"></div>
+                <div class="menu_button fa-solid fa-circle" data-mode="neutral" title="Let the agent decide"></div>
+                <div class="menu_button fa-solid fa-ban" data-mode="excluded" title="Exclude"></div>`;
+            row.querySelector('.ps-override-name').textContent = `${id} ${entry.comment || 'Untitled Entry'}`;
+            row.querySelector(`[data-mode="${mode}"]`).classList.add('active');
+            row.querySelectorAll('[data-mode]').forEach(button => {
+                button.onclick = () => {
+                    setSelectionOverride(id, button.dataset.mode);
+                    renderOverridePanel();
+                };
+            });
+            fragment.appendChild(row);
+        }
+    }
+    list.innerHTML = '';
+    list.appendChild(fragment);
+}
 
-        const uids = parseUIDs(result.pipe || '');
-        const message = `Dry run complete. Analysis would activate UIDs: ${uids.join(', ') || 'None'}`;
-        log(message, { uids });
-        window.toastr.success(message, 'Analysis Dry Run Result');
+function renderMessageBadge(messageId) {
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!messageElement) return;
+    messageElement.querySelector('.ps-message-badge')?.remove();
+    const selection = getContext().chat?.[messageId]?.extra?.[EXTENSION_NAME];
+    if (!selection) return;
+    const badge = document.createElement('span');
+    badge.className = 'ps-message-badge';
+    badge.title = `PseudoBBL: ${selection.entries.map(item => item.name || item.id).join(', ') || 'no prompts selected'}`;
+    badge.innerHTML = `<i class="fa-solid fa-tags"></i> ${selection.entries.length}`;
+    badge.onclick = (event) => {
+        event.stopPropagation();
+        showMessageSelection(Number(messageId));
+    };
+    messageElement.querySelector('.ch_name')?.appendChild(badge);
+}
 
-    } catch (error) {
-        log('Dry run failed', { error: error.message });
-        window.toastr.error(`Dry run failed: ${error.message}`, LOG_PREFIX);
-    } finally {
-        await getContext().executeSlashCommandsWithOptions(`/api ${originalApi} | /model "${originalModel}"`, { showOutput: false });
-        log('Dry run finished, user settings restored.');
-    }
+function renderAllMessageBadges() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(element => renderMessageBadge(element.getAttribute('mesid')));
 }
 
+function formatSelectionEntries(selection) {
+    return selection.entries.map(item => {
+        const confidence = item.confidence !== undefined ? ` (${item.confidence})` : '';
+        return `${item.id} ${item.name || '(unnamed)'}${confidence}${item.rationale ? `\n    ${item.rationale}` : ''}`;
+    }).join('\n') || 'None';
+}
 
-// ============================================================================
-//  UI MANAGEMENT
-// ============================================================================
+function showMessageSelection(messageId) {
+    const message = getContext().chat?.[messageId];
+    const selection = message?.extra?.[EXTENSION_NAME];
+    if (!selection) return;
+    const currentSwipe = message.swipe_id ?? 0;
+    const currentIds = selection.entries.map(item => item.id);
+    const swipeLines = (message.swipe_info || []).map((info, index) => {
+        const other = info?.extra?.[EXTENSION_NAME];
+        if (index === currentSwipe || !other) return null;
+        const ids = other.entries.map(item => item.id);
+        const added = ids.filter(id => !currentIds.includes(id));
+        const removed = currentIds.filter(id => !ids.includes(id));
+        const diff = [...added.map(id => `+${id}`), ...removed.map(id => `-${id}`)].join(' ') || 'same selection';
+        return `Swipe ${index + 1}: ${diff}`;
+    }).filter(Boolean);
+    const lines = [
+        `Stage 1: ${selection.stage1.api || 'N/A'} / ${selection.stage1.model || 'N/A'}`,
+        `Stage 2: ${selection.stage2.api} / ${selection.stage2.model}`,
+    ];
+    if (selection.fallback) lines.push(`Fallback: ${FALLBACK_STEP_LABELS[selection.fallback]}`);
+    lines.push('', formatSelectionEntries(selection));
+    if (swipeLines.length > 0) lines.push('', 'Compared to this swipe:', ...swipeLines);
+    const popupContent = document.createElement('div');
+    popupContent.innerHTML = `<h4>Dynamic Prompts: Message #${messageId}, Swipe ${currentSwipe + 1}</h4><pre class="ps-run-text" style="text-align: left;"></pre>`;
+    popupContent.querySelector('pre').textContent = lines.join('\n');
+    callGenericPopup(popupContent, POPUP_TYPE.TEXT, 'Message Selection', { wide: true });
+}
 
-function showStatusIndicator(message) {
-    let indicator = document.getElementById('pipeline-status-indicator');
-    if (!indicator) {
-        indicator = document.createElement('div');
-        indicator.id = 'pipeline-status-indicator';
-        indicator.className = 'pipeline-status-indicator';
-        document.body.appendChild(indicator);
-    }
-    indicator.textContent = `[PseudoBBL] ${message}`;
-    indicator.classList.add('active');
+function setPipelineEnabled(enabled) {
+    getSettings().enabled = enabled;
+    saveSettings();
+    updateUIState();
+    log(`Pipeline ${enabled ? 'enabled' : 'disabled'}.`);
 }
 
-function hideStatusIndicator() {
-    const indicator = document.getElementById('pipeline-status-indicator');
-    if (indicator) {
-        indicator.classList.remove('active');
-    }
+/**
+ * Reads a number from a settings input. Input that is not a number as a whole, such as
+ * "4x", is rejected with a warning and the input is reset to the current value.
+ * @param {HTMLInputElement} input
+ * @param {number} current
+ * @param {{ integer?: boolean }} [options]
+ * @returns {number|null} Null if the input was rejected.
+ */
+function readNumberInput(input, current, { integer = true } = {}) {
+    const text = input.value.trim();
+    const value = Number(text);
+    if (text !== '' && (integer ? Number.isInteger(value) : Number.isFinite(value))) return value;
+    window.toastr.warning(`"${input.value}" is not a valid ${integer ? 'whole number' : 'number'}.`, LOG_PREFIX);
+    input.value = current;
+    return null;
 }
 
 function initializeUI() {
     const settings = getSettings();
-    document.getElementById('ps_enabled').onchange = (e) => {
-        settings.enabled = e.target.checked;
+    document.getElementById('ps_enabled').onchange = (e) => setPipelineEnabled(e.target.checked);
+    document.getElementById('ps_stage1SelectBtn').onclick = () => showModelSelectorPopup('stage1');
+    document.getElementById('ps_stage1BackupSelectBtn').onclick = () => showModelSelectorPopup('stage1Backup');
+    document.getElementById('ps_stage1Timeout').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.stage1Timeout);
+        if (value === null) return;
+        settings.stage1Timeout = Math.max(5, value);
         saveSettings();
-        updateUIState();
     };
-    document.getElementById('ps_stage1SelectBtn').onclick = () => showModelSelectorPopup('stage1');
-    document.getElementById('ps_stage2SelectBtn').onclick = () => showModelSelectorPopup('stage2');
+    document.getElementById('ps_keywordTopK').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.keywordTopK);
+        if (value === null) return;
+        settings.keywordTopK = Math.max(1, value);
+        saveSettings();
+    };
+    document.getElementById('ps_stage1Temperature').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().stage1Temperature, { integer: false });
+        if (value === null) return;
+        setPipelineSetting('stage1Temperature', value);
+    };
+    document.getElementById('ps_stage1MaxTokens').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().stage1MaxTokens);
+        if (value === null) return;
+        setPipelineSetting('stage1MaxTokens', value);
+    };
     document.getElementById('ps_lorebookFile').onchange = (e) => {
-        settings.lorebookFile = e.target.value;
+        const name = e.target.value;
+        const lorebooks = getPipelineSettings().lorebooks;
+        e.target.value = '';
+        if (!name || lorebooks.some(book => book.name === name)) return;
+        lorebooks.push(createLorebookConfig(name, lorebooks));
         saveSettings();
+        renderLorebookList();
     };
     
     const analysisPromptEl = document.getElementById('ps_analysisPrompt');
     analysisPromptEl.oninput = () => {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
-            getSettings().analysisPromptTemplate = analysisPromptEl.value;
-            saveSettings();
+            setPipelineSetting('analysisPromptTemplate', analysisPromptEl.value);
             log('Analysis prompt template saved via debounce.');
         }, 500);
     };
     
+    document.getElementById('ps_previewPrompt').onclick = showPromptPreview;
     document.getElementById('ps_resetPrompt').onclick = () => {
         analysisPromptEl.value = DEFAULT_ANALYSIS_PROMPT;
-        settings.analysisPromptTemplate = DEFAULT_ANALYSIS_PROMPT;
-        saveSettings();
+        setPipelineSetting('analysisPromptTemplate', DEFAULT_ANALYSIS_PROMPT);
         window.toastr.info('Analysis prompt reset to default.');
     };
     const contextDepthEl = document.getElementById('ps_contextDepth');
     const contextDepthValueEl = document.getElementById('ps_contextDepthValue');
     contextDepthEl.oninput = () => { contextDepthValueEl.textContent = contextDepthEl.value; };
     contextDepthEl.onchange = () => {
-        settings.contextDepth = parseInt(contextDepthEl.value);
-        saveSettings();
+        const value = readNumberInput(contextDepthEl, getPipelineSettings().contextDepth);
+        if (value !== null) setPipelineSetting('contextDepth', value);
     };
+    document.getElementById('ps_contextDepthMode').onchange = (e) => {
+        setPipelineSetting('contextDepthMode', e.target.value);
+        updateUIState();
+    };
+    document.getElementById('ps_contextTokenBudget').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().contextTokenBudget);
+        if (value === null) return;
+        setPipelineSetting('contextTokenBudget', Math.max(50, value));
+    };
+    for (const key of ['historyExcludeHidden', 'historyExcludeSystem', 'historyExcludeNarrator']) {
+        document.getElementById(`ps_${key}`).onchange = (e) => {
+            settings[key] = e.target.checked;
+            saveSettings();
+        };
+    }
     document.getElementById('ps_smartRegeneration').onchange = (e) => {
         settings.smartRegeneration = e.target.checked;
         saveSettings();
     };
+    document.getElementById('ps_speculativeAnalysis').onchange = (e) => {
+        settings.speculativeAnalysis = e.target.value;
+        saveSettings();
+        if (settings.speculativeAnalysis === 'off') cancelSpeculativeAnalysis('speculative analysis turned off.');
+    };
+    document.getElementById('send_textarea')?.addEventListener('input', (e) => scheduleTypingSpeculation(e.target.value));
+    document.querySelectorAll('[data-generation-type]').forEach(select => {
+        select.onchange = () => {
+            settings.generationTypeActions[select.dataset.generationType] = select.value;
+            saveSettings();
+        };
+    });
+    document.getElementById('ps_diversityRecencyBias').onchange = (e) => {
+        settings.diversityRecencyBias = e.target.checked;
+        saveSettings();
+    };
+    document.getElementById('ps_diversityLookback').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.diversityLookback);
+        if (value === null) return;
+        settings.diversityLookback = Math.max(1, value);
+        saveSettings();
+    };
+    document.getElementById('ps_analyzeEveryNTurns').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.analyzeEveryNTurns);
+        if (value === null) return;
+        settings.analyzeEveryNTurns = Math.max(1, value);
+        saveSettings();
+    };
+    document.getElementById('ps_skipLastSpeaker').onchange = (e) => {
+        settings.skipLastSpeaker = e.target.value;
+        saveSettings();
+    };
+    document.getElementById('ps_forwardAnalysis').onchange = (e) => {
+        settings.forwardAnalysis = e.target.value;
+        saveSettings();
+        updateUIState();
+    };
+    document.getElementById('ps_forwardPosition').onchange = (e) => {
+        settings.forwardPosition = e.target.value;
+        saveSettings();
+    };
+    document.getElementById('ps_forwardDepth').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.forwardDepth);
+        if (value === null) return;
+        settings.forwardDepth = Math.max(0, value);
+        saveSettings();
+    };
+    document.getElementById('ps_forwardRole').onchange = (e) => {
+        settings.forwardRole = e.target.value;
+        saveSettings();
+    };
     document.getElementById('ps_debugMode').onchange = (e) => {
         settings.debugMode = e.target.checked;
         saveSettings();
     };
-    document.getElementById('ps_dryRun').onclick = runAnalysisDryRun;
-    document.getElementById('ps_clearCache').onclick = () => {
-        pipelineState.cachedAnalysis = null;
-        window.toastr.info('Analysis cache cleared.', LOG_PREFIX);
+    const backendSelect = document.getElementById('ps_selectionBackend');
+    const localBackendSelect = document.getElementById('ps_localBackend');
+    renderSelectionBackendOptions();
+    backendSelect.onchange = (e) => {
+        setPipelineSetting('selectionBackend', e.target.value);
+        updateUIState();
+    };
+    localBackendSelect.onchange = (e) => {
+        settings.localBackend = e.target.value;
+        saveSettings();
+    };
+    document.getElementById('ps_similarityThreshold').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.similarityThreshold, { integer: false });
+        if (value === null) return;
+        settings.similarityThreshold = Math.min(1, Math.max(0, value));
+        saveSettings();
+    };
+    document.getElementById('ps_outputFormat').onchange = (e) => {
+        setPipelineSetting('outputFormat', e.target.value);
+    };
+    document.getElementById('ps_registrySource').onchange = (e) => {
+        setPipelineSetting('registrySource', e.target.value);
+        updateUIState();
     };
+    document.getElementById('ps_registryChars').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().registryChars);
+        if (value === null) return;
+        setPipelineSetting('registryChars', Math.max(20, value));
+    };
+    document.getElementById('ps_registryGroupByCategory').onchange = (e) => setPipelineSetting('registryGroupByCategory', e.target.checked);
+    document.getElementById('ps_registryTokenBudget').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().registryTokenBudget);
+        if (value === null) return;
+        setPipelineSetting('registryTokenBudget', Math.max(0, value));
+    };
+    document.getElementById('ps_maxValidationRetries').onchange = (e) => {
+        const value = readNumberInput(e.target, getPipelineSettings().maxValidationRetries);
+        if (value === null) return;
+        setPipelineSetting('maxValidationRetries', Math.max(0, value));
+    };
+    document.getElementById('ps_profileSelect').onchange = (e) => setChatProfile(e.target.value);
+    document.getElementById('ps_profileNew').onclick = createProfileFromCurrent;
+    document.getElementById('ps_profileBindCharacter').onclick = bindProfileToCharacter;
+    document.getElementById('ps_profileDelete').onclick = deleteSelectedProfile;
+    document.getElementById('ps_activationBackend').onchange = (e) => {
+        settings.activationBackend = e.target.value;
+        saveSettings();
+        updateUIState();
+    };
+    document.getElementById('ps_dryRun').onclick = runAnalysisDryRun;
+    document.getElementById('ps_clearCache').onclick = showClearCachePopup;
     document.getElementById('ps_showDebug').onclick = showDebugLog;
+    document.getElementById('ps_showRuns').onclick = showRunInspector;
+    document.getElementById('ps_saveSnapshot').onclick = showSaveSnapshotPopup;
+    document.getElementById('ps_showEvaluation').onclick = showEvaluationPanel;
+    document.getElementById('ps_resetUsage').onclick = resetUsage;
+    document.getElementById('ps_addStage').onchange = (e) => {
+        if (!e.target.value) return;
+        const stage = createStageConfig(e.target.value);
+        getPipelineSettings().stages.push(stage);
+        e.target.value = '';
+        saveSettings();
+        renderStageList();
+        log(`Stage "${stage.name}" added.`);
+        showStageEditor(stage);
+    };
+    document.getElementById('ps_groupOtherMembers').onchange = (e) => {
+        settings.groupOtherMembers = e.target.checked;
+        saveSettings();
+    };
+    document.getElementById('ps_analysisTokenBudget').onchange = (e) => {
+        const value = readNumberInput(e.target, settings.analysisTokenBudget);
+        if (value === null) return;
+        settings.analysisTokenBudget = Math.max(0, value);
+        saveSettings();
+        renderUsageSummary();
+    };
+    createOverridePanel();
     log('UI event listeners bound.');
 }
 
+/**
+ * Binds the current chat to a profile. `__auto__` removes the chat binding and
+ * `__global__` forces the global settings.
+ */
+function setChatProfile(value) {
+    const chatState = getChatState();
+    if (value === '__auto__') delete chatState.profile;
+    else chatState.profile = value === '__global__' ? '' : value;
+    getContext().saveMetadata();
+    resolveActiveProfile();
+    updateUIState();
+}
+
+async function createProfileFromCurrent() {
+    const name = (await callGenericPopup('Name for the new profile (saved from the settings shown now):', POPUP_TYPE.INPUT, ''))?.trim();
+    if (!name) return;
+    const settings = getSettings();
+    if (name.startsWith('__') || settings.profiles[name]) {
+        window.toastr.warning(`A profile named "${name}" already exists or the name is reserved.`, LOG_PREFIX);
+        return;
+    }
+    const current = getPipelineSettings();
+    settings.profiles[name] = Object.fromEntries(PROFILE_KEYS.map(key => [key, structuredClone(current[key])]));
+    saveSettings();
+    updateProfileUI();
+    window.toastr.success(`Profile "${name}" created. Select it to use it in this chat.`, LOG_PREFIX);
+    log('Profile created', { name });
+}
+
+async function bindProfileToCharacter() {
+    const context = getContext();
+    if (context.groupId || context.characterId === undefined) {
+        window.toastr.warning('Open a single-character chat to bind a profile to its character.', LOG_PREFIX);
+        return;
+    }
+    const name = pipelineState.activeProfile.name;
+    await context.writeExtensionField(context.characterId, EXTENSION_NAME, { profile: name || '' });
+    const characterName = context.characters[context.characterId]?.name;
+    window.toastr.success(name ? `Profile "${name}" bound to ${characterName}.` : `Profile binding removed from ${characterName}.`, LOG_PREFIX);
+    log('Character profile binding updated', { character: characterName, profile: name });
+    resolveActiveProfile();
+    updateUIState();
+}
+
+async function deleteSelectedProfile() {
+    const name = document.getElementById('ps_profileSelect')?.value;
+    const settings = getSettings();
+    if (!settings.profiles[name]) {
+        window.toastr.info('Select a named profile to delete it.', LOG_PREFIX);
+        return;
+    }
+    if (!await callGenericPopup(`Delete profile "${name}"? Chats and characters bound to it will fall back to the global settings.`, POPUP_TYPE.CONFIRM)) return;
+    delete settings.profiles[name];
+    saveSettings();
+    log('Profile deleted', { name });
+    resolveActiveProfile();
+    updateUIState();
+}
+
+function updateProfileUI() {
+    const settings = getSettings();
+    const select = document.getElementById('ps_profileSelect');
+    const info = document.getElementById('ps_activeProfileInfo');
+    if (!select || !info) return;
+    select.innerHTML = '<option value="__auto__">Automatic (character binding or global)</option><option value="__global__">Global settings</option>';
+    Object.keys(settings.profiles).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    const chatBinding = getChatState().profile;
+    select.value = typeof chatBinding === 'string' ? (chatBinding || '__global__') : '__auto__';
+    if (!select.value) select.value = '__auto__';
+    const { name, source } = pipelineState.activeProfile;
+    const sourceLabel = { member: 'group member override', chat: 'chat override', character: 'bound to character', global: 'default' }[source];
+    info.textContent = `Active: ${name || 'Global settings'} (${sourceLabel})`;
+    renderMemberProfiles();
+}
+
+/** Lists the group's members with a profile override each. Hidden outside group chats. */
+function renderMemberProfiles() {
+    const container = document.getElementById('ps_memberProfiles');
+    if (!container) return;
+    const settings = getSettings();
+    const members = getContext().groupId ? getGroupMembers() : [];
+    container.innerHTML = '';
+    container.style.display = members.length > 0 ? 'block' : 'none';
+    if (members.length === 0) return;
+    const chatState = getChatState();
+    const heading = document.createElement('label');
+    heading.textContent = 'Group member overrides';
+    container.appendChild(heading);
+    for (const member of members) {
+        const row = document.createElement('div');
+        row.className = 'ps-member-row';
+        row.innerHTML = '<span class="ps-member-name"></span><select class="text_pole"></select>';
+        row.querySelector('.ps-member-name').textContent = member.name;
+        const select = row.querySelector('select');
+        select.innerHTML = '<option value="__auto__">Chat / character setting</option><option value="__global__">Global settings</option>';
+        Object.keys(settings.profiles).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        const binding = chatState.memberProfiles?.[member.avatar];
+        select.value = typeof binding === 'string' ? (binding || '__global__') : '__auto__';
+        if (!select.value) select.value = '__auto__';
+        select.onchange = () => {
+            chatState.memberProfiles ??= {};
+            if (select.value === '__auto__') delete chatState.memberProfiles[member.avatar];
+            else chatState.memberProfiles[member.avatar] = select.value === '__global__' ? '' : select.value;
+            getContext().saveMetadata();
+            log('Group member profile override updated', { member: member.name, profile: select.value });
+            resolveActiveProfile();
+            updateUIState();
+        };
+        container.appendChild(row);
+    }
+}
+
+function renderFallbackChain() {
+    const settings = getSettings();
+    const list = document.getElementById('ps_fallbackChain');
+    if (!list) return;
+    list.innerHTML = '';
+    settings.fallbackChain.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'ps-fallback-row';
+        row.innerHTML = `
+            <input type="checkbox">
+            <span class="ps-fallback-label"></span>
+            <button class="menu_button fa-solid fa-arrow-up" title="Move up"></button>
+            <button class="menu_button fa-solid fa-arrow-down" title="Move down"></button>`;
+        const toggle = row.querySelector('input');
+        row.querySelector('.ps-fallback-label').textContent = `${index + 1}. ${FALLBACK_STEP_LABELS[item.step]}`;
+        toggle.checked = item.enabled;
+        toggle.onchange = () => {
+            item.enabled = toggle.checked;
+            saveSettings();
+        };
+        const move = (offset) => {
+            const target = index + offset;
+            if (target < 0 || target >= settings.fallbackChain.length) return;
+            [settings.fallbackChain[index], settings.fallbackChain[target]] = [settings.fallbackChain[target], settings.fallbackChain[index]];
+            saveSettings();
+            renderFallbackChain();
+        };
+        row.querySelector('.fa-arrow-up').onclick = () => move(-1);
+        row.querySelector('.fa-arrow-down').onclick = () => move(1);
+        list.appendChild(row);
+    });
+}
+
+function describeStageOutput(stage) {
+    if (stage.output === 'activate') return 'activates UIDs';
+    if (stage.output === 'variable') return `sets {{getvar::${stage.variableName || '?'}}}`;
+    return `injects at ${stage.injectPosition}${stage.injectPosition === 'chat' ? ` depth ${stage.injectDepth}` : ''}`;
+}
+
+function renderStageList() {
+    const settings = getPipelineSettings();
+    const list = document.getElementById('ps_stageList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (settings.stages.length === 0) {
+        list.innerHTML = '<small>No extra stages. The analysis hands over directly to the generation.</small>';
+        return;
+    }
+    settings.stages.forEach((stage, index) => {
+        const row = document.createElement('div');
+        row.className = 'ps-stage-row';
+        row.innerHTML = `
+            <input type="checkbox" title="Enabled">
+            <span class="ps-stage-name"></span>
+            <button class="menu_button fa-solid fa-arrow-up" title="Move up"></button>
+            <button class="menu_button fa-solid fa-arrow-down" title="Move down"></button>
+            <button class="menu_button fa-solid fa-pen" title="Edit"></button>
+            <button class="menu_button fa-solid fa-trash" title="Remove"></button>`;
+        row.querySelector('.ps-stage-name').textContent = `${stage.name} (${describeStageOutput(stage)})`;
+        const toggle = row.querySelector('input');
+        toggle.checked = stage.enabled;
+        toggle.onchange = () => {
+            stage.enabled = toggle.checked;
+            saveSettings();
+        };
+        const move = (offset) => {
+            const target = index + offset;
+            if (target < 0 || target >= settings.stages.length) return;
+            [settings.stages[index], settings.stages[target]] = [settings.stages[target], settings.stages[index]];
+            saveSettings();
+            renderStageList();
+        };
+        row.querySelector('.fa-arrow-up').onclick = () => move(-1);
+        row.querySelector('.fa-arrow-down').onclick = () => move(1);
+        row.querySelector('.fa-pen').onclick = () => showStageEditor(stage);
+        row.querySelector('.fa-trash').onclick = () => {
+            settings.stages.splice(index, 1);
+            saveSettings();
+            renderStageList();
+            log(`Stage "${stage.name}" removed.`);
+        };
+        list.appendChild(row);
+    });
+}
+
+/**
+ * @param {StageConfig} stage Edited in place when saved.
+ * @param {StageConfig} [initial] Values to show instead of the saved ones, used when a save was rejected.
+ */
+async function showStageEditor(stage, initial = stage) {
+    const draft = { ...initial };
+    const popupContent = document.createElement('div');
+    popupContent.className = 'ps-stage-editor';
+    popupContent.innerHTML = `
+        <h4>Edit Stage</h4>
+        <label>Name</label><input type="text" class="text_pole" data-field="name">
+        <label>Model</label>
+        <div style="display: flex; gap: 5px; align-items: center;">
+            <div class="api-display ps-stage-model" style="flex: 1;"></div>
+            <button class="menu_button ps-stage-pick">Choose</button>
+            <button class="menu_button ps-stage-clear" title="Use the Stage 1 model">Reset</button>
+        </div>
+        <div style="display: flex; gap: 10px;">
+            <div style="flex: 1;"><label>Temperature</label><input type="number" class="text_pole" data-field="temperature" min="0" max="2" step="0.05" placeholder="Stage 1"></div>
+            <div style="flex: 1;"><label>Max Tokens</label><input type="number" class="text_pole" data-field="maxTokens" min="16" max="8192" step="16" placeholder="Stage 1"></div>
+        </div>
+        <label>Prompt Template</label>
+        <textarea class="text_pole" data-field="promptTemplate" rows="10"></textarea>
+        <small>Analysis placeholders plus <code>{{analysis}}</code> <code>{{plan}}</code> <code>{{selection}}</code> <code>{{previousOutput}}</code>. For "Activate UIDs", ask for a <code>&lt;UIDs&gt;</code> tag and include <code>{{registry}}</code>.</small>
+        <label>Output</label>
+        <select class="text_pole" data-field="output">
+            <option value="inject">Inject text into the generation prompt</option>
+            <option value="activate">Activate the UIDs it names</option>
+            <option value="variable">Set a chat variable</option>
+        </select>
+        <div class="ps-stage-inject" style="display: flex; gap: 10px;">
+            <div style="flex: 1;"><label>Position</label><select class="text_pole" data-field="injectPosition"><option value="chat">In chat</option><option value="before">Before story</option><option value="after">After story</option></select></div>
+            <div style="flex: 1;"><label>Depth</label><input type="number" class="text_pole" data-field="injectDepth" min="0" max="100"></div>
+            <div style="flex: 1;"><label>Role</label><select class="text_pole" data-field="injectRole"><option value="system">System</option><option value="user">User</option><option value="assistant">Assistant</option></select></div>
+        </div>
+        <div class="ps-stage-variable"><label>Variable Name</label><input type="text" class="text_pole" data-field="variableName"></div>`;
+    const fields = popupContent.querySelectorAll('[data-field]');
+    fields.forEach(field => {
+        field.value = draft[field.dataset.field] ?? '';
+    });
+    const modelDisplay = popupContent.querySelector('.ps-stage-model');
+    const updateModelDisplay = () => {
+        modelDisplay.textContent = draft.model ? `${draft.api} / ${draft.model}` : 'Same as Stage 1';
+    };
+    const outputSelect = popupContent.querySelector('[data-field="output"]');
+    const updateOutputFields = () => {
+        popupContent.querySelector('.ps-stage-inject').style.display = outputSelect.value === 'inject' ? 'flex' : 'none';
+        popupContent.querySelector('.ps-stage-variable').style.display = outputSelect.value === 'variable' ? 'block' : 'none';
+    };
+    popupContent.querySelector('.ps-stage-pick').onclick = async () => {
+        const picked = await pickModel(`Select Model for ${draft.name}`, draft.api || getPipelineSettings().stage1Api || 'openai', draft.model);
+        if (picked?.model) Object.assign(draft, picked);
+        updateModelDisplay();
+    };
+    popupContent.querySelector('.ps-stage-clear').onclick = () => {
+        draft.api = '';
+        draft.model = '';
+        updateModelDisplay();
+    };
+    outputSelect.onchange = updateOutputFields;
+    updateModelDisplay();
+    updateOutputFields();
+
+    if (!await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', { wide: true, large: true, okButton: 'Save' })) return;
+    fields.forEach(field => {
+        const key = field.dataset.field;
+        // An empty temperature or max tokens falls back to the Stage 1 setting.
+        if (field.type === 'number' && field.value.trim() === '' && (key === 'temperature' || key === 'maxTokens')) draft[key] = undefined;
+        else draft[key] = field.type === 'number' ? (parseFloat(field.value) || 0) : field.value;
+    });
+    draft.name = draft.name.trim() || stage.name;
+    draft.variableName = draft.variableName.trim();
+    if (draft.output === 'variable' && !STAGE_VARIABLE_PATTERN.test(draft.variableName)) {
+        window.toastr.warning('Variable names may only contain letters, digits, "_", "." and "-".', LOG_PREFIX);
+        return showStageEditor(stage, draft);
+    }
+    Object.assign(stage, draft);
+    saveSettings();
+    renderStageList();
+    log(`Stage "${stage.name}" saved.`);
+}
+
+/** Fills the backend selects; also called when another extension registers a backend. */
+function renderSelectionBackendOptions() {
+    const backendSelect = document.getElementById('ps_selectionBackend');
+    const localBackendSelect = document.getElementById('ps_localBackend');
+    if (!backendSelect || !localBackendSelect) return;
+    backendSelect.innerHTML = '';
+    localBackendSelect.innerHTML = '';
+    for (const [id, backend] of selectionBackends) {
+        backendSelect.add(new Option(backend.label, id));
+        if (backend.local) localBackendSelect.add(new Option(backend.label, id));
+    }
+    const settings = getPipelineSettings();
+    backendSelect.value = settings.selectionBackend;
+    localBackendSelect.value = settings.localBackend;
+}
+
+function renderLorebookList() {
+    const settings = getPipelineSettings();
+    const list = document.getElementById('ps_lorebookList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (settings.lorebooks.length === 0) {
+        list.innerHTML = '<small>No lorebooks selected.</small>';
+        return;
+    }
+    settings.lorebooks.forEach((book, index) => {
+        const row = document.createElement('div');
+        row.className = 'ps-lorebook-row';
+        row.innerHTML = `
+            <input type="checkbox" title="Enable this lorebook">
+            <span class="ps-lorebook-name"></span>
+            <input type="text" class="text_pole ps-lorebook-alias" title="Namespace used in UIDs, e.g. alias:12">
+            <button class="menu_button fa-solid fa-sliders ps-lorebook-rules" title="Selection rules"></button>
+            <button class="menu_button fa-solid fa-xmark ps-lorebook-remove" title="Remove lorebook"></button>`;
+        const [toggle, aliasInput] = row.querySelectorAll('input');
+        row.querySelector('.ps-lorebook-name').textContent = book.name;
+        toggle.checked = book.enabled;
+        aliasInput.value = book.alias;
+        toggle.onchange = () => {
+            book.enabled = toggle.checked;
+            saveSettings();
+        };
+        aliasInput.onchange = () => {
+            const alias = aliasInput.value.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+            if (!alias || settings.lorebooks.some(other => other !== book && other.alias === alias)) {
+                window.toastr.warning('Aliases must be unique and non-empty.', LOG_PREFIX);
+                aliasInput.value = book.alias;
+                return;
+            }
+            book.alias = alias;
+            aliasInput.value = alias;
+            saveSettings();
+        };
+        row.querySelector('.ps-lorebook-rules').onclick = () => showSelectionRulesPopup(book);
+        row.querySelector('.ps-lorebook-remove').onclick = () => {
+            settings.lorebooks.splice(index, 1);
+            saveSettings();
+            renderLorebookList();
+        };
+        list.appendChild(row);
+    });
+}
+
 function updateUIState() {
     log('Updating UI state...');
-    const settings = getSettings();
+    const settings = getPipelineSettings();
     const enableToggle = document.getElementById('ps_enabled');
     const warningDiv = document.getElementById('ps_dependency_warning');
     const container = document.getElementById('ps_pipeline_container');
-    if (!pipelineState.dependenciesMet) {
-        if (enableToggle) { enableToggle.checked = false; enableToggle.disabled = true; }
-        if (warningDiv) warningDiv.innerHTML = '<strong>LALib extension is required. Pipeline disabled.</strong>';
-        if (container) container.style.display = 'none';
-        return;
-    } else {
-        if (enableToggle) enableToggle.disabled = false;
-        if (warningDiv) warningDiv.innerHTML = '';
+    if (warningDiv) {
+        warningDiv.innerHTML = settings.activationBackend === 'lalib' && !pipelineState.lalibAvailable
+            ? '<strong>LALib backend selected but LALib is not installed. Using native activation instead.</strong>'
+            : '';
     }
     if (enableToggle) enableToggle.checked = settings.enabled;
     if (container) container.style.display = settings.enabled ? 'block' : 'none';
+    updateProfileUI();
     updateApiDisplay('stage1');
+    updateApiDisplay('stage1Backup');
     updateApiDisplay('stage2');
-    const lorebookSelect = document.getElementById('ps_lorebookFile');
-    if (lorebookSelect.value !== settings.lorebookFile) lorebookSelect.value = settings.lorebookFile || '';
+    const timeoutEl = document.getElementById('ps_stage1Timeout');
+    if (timeoutEl) timeoutEl.value = settings.stage1Timeout;
+    const keywordTopKEl = document.getElementById('ps_keywordTopK');
+    if (keywordTopKEl) keywordTopKEl.value = settings.keywordTopK;
+    renderFallbackChain();
+    renderOverridePanel();
+    const groupOtherMembersEl = document.getElementById('ps_groupOtherMembers');
+    if (groupOtherMembersEl) groupOtherMembersEl.checked = settings.groupOtherMembers;
+    const budgetEl = document.getElementById('ps_analysisTokenBudget');
+    if (budgetEl) budgetEl.value = settings.analysisTokenBudget;
+    renderUsageSummary();
+    const selectionBackendEl = document.getElementById('ps_selectionBackend');
+    if (selectionBackendEl) selectionBackendEl.value = settings.selectionBackend;
+    const stage1ModelEl = document.getElementById('ps_stage1ModelSettings');
+    if (stage1ModelEl) stage1ModelEl.style.display = getSelectionBackend(settings.selectionBackend).local ? 'none' : 'block';
+    const localBackendEl = document.getElementById('ps_localBackend');
+    if (localBackendEl) localBackendEl.value = settings.localBackend;
+    const similarityThresholdEl = document.getElementById('ps_similarityThreshold');
+    if (similarityThresholdEl) similarityThresholdEl.value = settings.similarityThreshold;
+    const temperatureEl = document.getElementById('ps_stage1Temperature');
+    if (temperatureEl) temperatureEl.value = settings.stage1Temperature;
+    const maxTokensEl = document.getElementById('ps_stage1MaxTokens');
+    if (maxTokensEl) maxTokensEl.value = settings.stage1MaxTokens;
+    renderLorebookList();
+    renderStageList();
+    const registrySourceEl = document.getElementById('ps_registrySource');
+    if (registrySourceEl) registrySourceEl.value = settings.registrySource;
+    const registryCharsEl = document.getElementById('ps_registryChars');
+    if (registryCharsEl) {
+        registryCharsEl.value = settings.registryChars;
+        registryCharsEl.disabled = settings.registrySource !== 'chars';
+    }
+    const registryGroupEl = document.getElementById('ps_registryGroupByCategory');
+    if (registryGroupEl) registryGroupEl.checked = settings.registryGroupByCategory;
+    const registryBudgetEl = document.getElementById('ps_registryTokenBudget');
+    if (registryBudgetEl) registryBudgetEl.value = settings.registryTokenBudget;
     const analysisPromptEl = document.getElementById('ps_analysisPrompt');
     if(analysisPromptEl) analysisPromptEl.value = settings.analysisPromptTemplate || DEFAULT_ANALYSIS_PROMPT;
     const contextDepthEl = document.getElementById('ps_contextDepth');
@@ -587,10 +4253,51 @@ function updateUIState() {
         contextDepthEl.value = settings.contextDepth;
         contextDepthValueEl.textContent = settings.contextDepth;
     }
+    const contextDepthModeEl = document.getElementById('ps_contextDepthMode');
+    if (contextDepthModeEl) contextDepthModeEl.value = settings.contextDepthMode;
+    const messageDepthRow = document.getElementById('ps_messageDepthRow');
+    if (messageDepthRow) messageDepthRow.style.display = settings.contextDepthMode === 'tokens' ? 'none' : 'block';
+    const tokenBudgetRow = document.getElementById('ps_tokenBudgetRow');
+    if (tokenBudgetRow) tokenBudgetRow.style.display = settings.contextDepthMode === 'tokens' ? 'block' : 'none';
+    const tokenBudgetEl = document.getElementById('ps_contextTokenBudget');
+    if (tokenBudgetEl) tokenBudgetEl.value = settings.contextTokenBudget;
+    for (const key of ['historyExcludeHidden', 'historyExcludeSystem', 'historyExcludeNarrator']) {
+        const el = document.getElementById(`ps_${key}`);
+        if (el) el.checked = settings[key];
+    }
     const smartRegenEl = document.getElementById('ps_smartRegeneration');
     if(smartRegenEl) smartRegenEl.checked = settings.smartRegeneration;
+    document.querySelectorAll('[data-generation-type]').forEach(select => {
+        select.value = settings.generationTypeActions[select.dataset.generationType] ?? defaultSettings.generationTypeActions[select.dataset.generationType];
+    });
+    const recencyBiasEl = document.getElementById('ps_diversityRecencyBias');
+    if (recencyBiasEl) recencyBiasEl.checked = settings.diversityRecencyBias;
+    const lookbackEl = document.getElementById('ps_diversityLookback');
+    if (lookbackEl) lookbackEl.value = settings.diversityLookback;
+    const everyNTurnsEl = document.getElementById('ps_analyzeEveryNTurns');
+    if (everyNTurnsEl) everyNTurnsEl.value = settings.analyzeEveryNTurns;
+    const skipLastSpeakerEl = document.getElementById('ps_skipLastSpeaker');
+    if (skipLastSpeakerEl) skipLastSpeakerEl.value = settings.skipLastSpeaker;
+    const speculativeEl = document.getElementById('ps_speculativeAnalysis');
+    if (speculativeEl) speculativeEl.value = settings.speculativeAnalysis;
     const debugModeEl = document.getElementById('ps_debugMode');
     if(debugModeEl) debugModeEl.checked = settings.debugMode;
+    const forwardAnalysisEl = document.getElementById('ps_forwardAnalysis');
+    if (forwardAnalysisEl) forwardAnalysisEl.value = settings.forwardAnalysis;
+    const forwardOptionsEl = document.getElementById('ps_forwardOptions');
+    if (forwardOptionsEl) forwardOptionsEl.style.display = settings.forwardAnalysis === 'off' ? 'none' : 'flex';
+    const forwardPositionEl = document.getElementById('ps_forwardPosition');
+    if (forwardPositionEl) forwardPositionEl.value = settings.forwardPosition;
+    const forwardDepthEl = document.getElementById('ps_forwardDepth');
+    if (forwardDepthEl) forwardDepthEl.value = settings.forwardDepth;
+    const forwardRoleEl = document.getElementById('ps_forwardRole');
+    if (forwardRoleEl) forwardRoleEl.value = settings.forwardRole;
+    const activationBackendEl = document.getElementById('ps_activationBackend');
+    if (activationBackendEl) activationBackendEl.value = settings.activationBackend;
+    const outputFormatEl = document.getElementById('ps_outputFormat');
+    if (outputFormatEl) outputFormatEl.value = settings.outputFormat;
+    const maxRetriesEl = document.getElementById('ps_maxValidationRetries');
+    if (maxRetriesEl) maxRetriesEl.value = settings.maxValidationRetries;
 }
 
 function bindCoreEventListeners() {
@@ -598,27 +4305,341 @@ function bindCoreEventListeners() {
     eventSource.makeLast(eventToUse, async (data) => {
         return await handlePipelineTrigger(data);
     });
+    eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+        pipelineState.generationType = dryRun ? 'dry-run' : (type || 'normal');
+        pipelineState.lastGenerationQuiet = type === 'quiet';
+        if (!dryRun) pipelineState.isGenerating = true;
+    });
+    if (event_types.GROUP_MEMBER_DRAFTED) {
+        eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (characterId) => {
+            pipelineState.draftedCharacterId = characterId;
+            log(`Group member drafted: ${getSpeakerCharacter()?.name ?? characterId}`);
+            resolveActiveProfile();
+            updateProfileUI();
+        });
+    }
+    eventSource.on(event_types.GENERATION_ENDED, () => {
+        pipelineState.isGenerating = false;
+        const run = pipelineState.currentRun;
+        if (run?.generationStart !== undefined) {
+            run.timings.generation = Math.round(performance.now() - run.generationStart);
+            delete run.generationStart;
+            addUsage(getChatUsage(), { generations: 1, generationMs: run.timings.generation });
+            getContext().saveMetadata();
+            renderUsageSummary();
+        }
+        const lastMessage = getContext().chat?.at(-1);
+        // Quiet generations (summaries, impersonation helpers and the like) add no reply to speculate on.
+        if (pipelineState.lastGenerationQuiet) return;
+        if (getPipelineSettings().speculativeAnalysis === 'reply' && lastMessage && !lastMessage.is_user && !lastMessage.is_system) {
+            startSpeculativeAnalysis();
+        }
+    });
 
     eventSource.on(event_types.GENERATE_AFTER, async () => {
         try {
-            await restoreUserSettings();
             await getContext().executeSlashCommandsWithOptions('/inject-remove id=ps_smart_regen', { showOutput: false });
+            await getContext().executeSlashCommandsWithOptions('/inject-remove id=ps_analysis_forward', { showOutput: false });
+            for (const id of pipelineState.stageInjections.splice(0)) {
+                await getContext().executeSlashCommandsWithOptions(`/inject-remove id=${id}`, { showOutput: false });
+            }
         } catch (error) {
             log('Error during post-generation cleanup.', { error: error.message });
         }
     });
 
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        pipelineState.cachedAnalysis = null;
+        pipelineState.draftedCharacterId = null;
+        pipelineState.isGenerating = false;
+        pipelineState.lastPromptTokens = 0;
+        pipelineState.budgetWarned = false;
+        cancelSpeculativeAnalysis('chat changed.');
+        pipelineState.pendingAnalysis = null;
+        // Branches inherit the parent's metadata, so drop analyses past the end of this chat.
+        const chatLength = getContext().chat?.length ?? 0;
+        invalidateAnalyses(index => index >= chatLength, 'chat changed or branched');
+        resolveActiveProfile();
+        updateUIState();
+        renderAllMessageBadges();
+    });
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => bindPendingAnalysis(messageId));
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageId) => renderMessageBadge(messageId));
+    if (event_types.MORE_MESSAGES_LOADED) {
+        eventSource.on(event_types.MORE_MESSAGES_LOADED, () => renderAllMessageBadges());
+    }
+    eventSource.on(event_types.MESSAGE_EDITED, (messageId) => {
+        invalidateAnalyses(index => index > Number(messageId), `message #${messageId} edited`);
+    });
+    if (event_types.GENERATION_STOPPED) {
+        eventSource.on(event_types.GENERATION_STOPPED, () => {
+            pipelineState.isGenerating = false;
+            if (!pipelineState.abortController) return;
+            pipelineState.abortController.abort(new Error('Cancelled by the user.'));
+            log('Stop pressed, cancelling Stage 1.');
+        });
+    }
+    if (event_types.WORLD_INFO_ACTIVATED) {
+        eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => confirmActivation(entries));
+    }
+    if (event_types.ONLINE_STATUS_CHANGED) {
+        eventSource.on(event_types.ONLINE_STATUS_CHANGED, () => updateApiDisplay('stage2'));
+    }
     if (event_types.MESSAGE_SWIPED) {
-        eventSource.on(event_types.MESSAGE_SWIPED, () => log('Swipe detected, preserving cache.'));
+        eventSource.on(event_types.MESSAGE_SWIPED, (messageId) => {
+            log('Swipe detected, preserving cache.');
+            renderMessageBadge(messageId);
+        });
     }
-    eventSource.on(event_types.MESSAGE_DELETED, () => {
-        pipelineState.cachedAnalysis = null;
-        log('Message deleted, cache cleared.');
+    eventSource.on(event_types.MESSAGE_DELETED, (chatLength) => {
+        // Deleting a message mid-chat shifts the later ones down, so every analysis from
+        // the first one that no longer matches its message is dropped.
+        const chat = getContext().chat || [];
+        const store = getAnalysisStore();
+        const stale = Object.keys(store).map(Number).filter(index => !chat[index] || chat[index].is_user
+            || Object.values(store[index]).some(record => !isAnalysisCurrent(record)));
+        const firstStale = Math.min(Number(chatLength), ...stale);
+        invalidateAnalyses(index => index >= firstStale, 'message deleted');
     });
     log('Core event listeners bound.');
 }
 
 
+// ============================================================================
+//  SLASH COMMANDS
+// ============================================================================
+
+/** Shared handler for /bbl-pin and /bbl-exclude. Returns the resulting list. */
+function handleOverrideCommand(list, args, value) {
+    const tokens = String(value || '').split(/[\s,]+/).filter(Boolean);
+    const action = args.action || (tokens.length > 0 ? 'add' : 'list');
+    if (!['add', 'remove', 'clear', 'list'].includes(action)) {
+        window.toastr.warning(`Unknown action "${action}". Use add, remove, clear or list.`, LOG_PREFIX);
+        return getSelectionOverrides()[list].join(', ');
+    }
+    if (action !== 'list') {
+        const ids = tokens.map(normalizeSelectionId);
+        const invalid = tokens.filter((_, index) => !ids[index]);
+        if (invalid.length > 0) {
+            window.toastr.warning(`Unknown UIDs: ${invalid.join(', ')}. Use alias:uid when several lorebooks are enabled.`, LOG_PREFIX);
+        }
+        updateSelectionOverrides(list, action, ids.filter(Boolean));
+        renderOverridePanel();
+    }
+    return getSelectionOverrides()[list].join(', ');
+}
+
+function registerSlashCommands() {
+    const overrideArguments = {
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'action',
+                description: 'What to do with the given UIDs. Defaults to add, or list when no UIDs are given.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['add', 'remove', 'clear', 'list'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'UIDs as alias:uid, separated by commas or spaces',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-enable',
+        callback: () => {
+            setPipelineEnabled(true);
+            return '';
+        },
+        helpString: 'Enables the PseudoBBL pipeline.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-disable',
+        callback: () => {
+            setPipelineEnabled(false);
+            return '';
+        },
+        helpString: 'Disables the PseudoBBL pipeline.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-analyze',
+        callback: async () => (await runAnalysisDryRun())?.join(', ') ?? '',
+        returns: 'comma-separated selected UIDs, empty if the analysis failed',
+        helpString: 'Runs the analysis dry run for the current chat and returns the selected UIDs.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-last',
+        callback: () => getLastAnalysis(getContext().chat?.length ?? 0)?.ids.join(', ') ?? '',
+        returns: 'comma-separated UIDs of the previous selection',
+        helpString: 'Returns the UIDs selected by the most recent analysis.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-pin',
+        callback: (args, value) => handleOverrideCommand('pins', args, value),
+        returns: 'the pinned UIDs',
+        ...overrideArguments,
+        helpString: 'Pins entries for the current chat so they are activated on every generation. Example: <code>/bbl-pin style:12</code>',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-exclude',
+        callback: (args, value) => handleOverrideCommand('excludes', args, value),
+        returns: 'the excluded UIDs',
+        ...overrideArguments,
+        helpString: 'Excludes entries for the current chat so they are never activated. Example: <code>/bbl-exclude action=remove style:12</code>',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-profile',
+        callback: (_, value) => {
+            const name = String(value || '').trim();
+            if (name) {
+                const settings = getSettings();
+                if (!['__auto__', '__global__'].includes(name) && !settings.profiles[name]) {
+                    window.toastr.warning(`Profile "${name}" does not exist.`, LOG_PREFIX);
+                    return '';
+                }
+                setChatProfile(name);
+            }
+            return pipelineState.activeProfile.name || '';
+        },
+        returns: 'the active profile name, empty for the global settings',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'profile name, __auto__ or __global__',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: 'Binds the current chat to a profile and returns the active profile. Without an argument, only returns it.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'bbl-clear-cache',
+        callback: (_, value) => {
+            const text = String(value || '').trim();
+            if (!text) {
+                clearChatAnalyses();
+                return '';
+            }
+            const messageIndex = Number(text);
+            if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+                window.toastr.warning(`"${text}" is not a message number.`, LOG_PREFIX);
+                return '';
+            }
+            invalidateAnalyses(index => index === messageIndex, 'cleared by command');
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'message number to clear; clears the whole chat when omitted',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: 'Clears cached analyses for one message or for the whole chat.',
+    }));
+    log('Slash commands registered.');
+}
+
+
+// ============================================================================
+//  PUBLIC API
+// ============================================================================
+
+function registerExtensionHook(map, kind, id, hook) {
+    if (!id || typeof id !== 'string' || id.includes('/')) throw new Error(`${kind} IDs must be non-empty strings without "/".`);
+    if (typeof hook !== 'function') throw new Error(`${kind} "${id}" must be a function.`);
+    map.set(id, hook);
+    log(`${kind} registered: ${id}`);
+    return () => map.delete(id);
+}
+
+/**
+ * The interface other extensions use, exposed as `window.PseudoBBL`.
+ *
+ * Events are emitted through SillyTavern's `eventSource` under the names in
+ * `PseudoBBL.events`, with a copy of the run details as payload:
+ * - `ANALYSIS_STARTED` `{ trigger, endIndex }`
+ * - `ANALYSIS_COMPLETED` `{ trigger, endIndex, analysis, run }`
+ * - `ANALYSIS_FAILED` `{ trigger, endIndex, error, aborted, run }`
+ * - `ENTRIES_ACTIVATED` `{ ids, backend, run }`
+ * - `PIPELINE_SKIPPED` `{ type, targetIndex }`
+ *
+ * @example
+ * const { eventSource } = SillyTavern.getContext();
+ * eventSource.on(PseudoBBL.events.ANALYSIS_COMPLETED, ({ analysis }) => console.log(analysis.ids));
+ * const unregister = PseudoBBL.registerSelectionFilter('no-combat', (analysis) => analysis.ids.filter(id => id !== 'style:4'));
+ */
+const publicApi = Object.freeze({
+    version: 1,
+    events: PIPELINE_EVENTS,
+    isEnabled: () => getSettings().enabled,
+    /**
+     * Runs an analysis for the open chat without generating and records it as a run.
+     * @param {{ activate?: boolean }} [options] `activate` also activates the selected entries for the next generation.
+     * @returns {Promise<AnalysisResult>}
+     */
+    async analyze({ activate = false } = {}) {
+        const run = startRunRecord('api');
+        try {
+            const analysis = await runAnalysis(undefined, { run });
+            run.status = 'ok';
+            if (activate && analysis.ids.length > 0) await activateEntries(analysis.ids);
+            return structuredClone(analysis);
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            throw error;
+        }
+    },
+    /** @returns {{ ids: string[], names: Object<string, string>, rationales: Object<string, string>, reasoning: string, plan: string }|null} */
+    getLastSelection() {
+        const analysis = getLastAnalysis(getContext().chat?.length ?? 0);
+        if (!analysis) return null;
+        const { ids, names = {}, rationales, reasoning, plan = '' } = analysis;
+        return structuredClone({ ids, names, rationales, reasoning, plan });
+    },
+    /** @returns {{ pins: string[], excludes: string[] }} Pins and exclusions of the open chat. */
+    getOverrides: () => structuredClone(getSelectionOverrides()),
+    /**
+     * Pins, excludes or clears entries for the open chat. Nothing is changed when an ID or the mode is invalid.
+     * Entries to pin or exclude must be in the current registry; clearing accepts entries that were since removed.
+     * @param {string[]} ids `alias:uid` selection IDs, or bare UIDs when one lorebook is enabled.
+     * @param {'pinned'|'excluded'|'neutral'} mode
+     * @returns {Promise<void>}
+     * @throws {Error} When the mode is unknown, an ID cannot be parsed, or an entry to pin or exclude is not in the registry.
+     */
+    async setOverride(ids, mode) {
+        if (!['pinned', 'excluded', 'neutral'].includes(mode)) throw new Error(`Unknown override mode "${mode}".`);
+        const normalized = ids.map(normalizeSelectionId);
+        let unknown = ids.filter((_, index) => !normalized[index]);
+        if (unknown.length === 0 && mode !== 'neutral') {
+            // Excluded entries are left out of the registry but can still be pinned.
+            const known = new Set([...(await getRegistryEntries()).map(entry => entry.id), ...getSelectionOverrides().excludes]);
+            unknown = ids.filter((_, index) => !known.has(normalized[index]));
+        }
+        if (unknown.length > 0) throw new Error(`Unknown selection IDs: ${unknown.join(', ')}.`);
+        for (const id of normalized) setSelectionOverride(id, mode);
+        renderOverridePanel();
+    },
+    /**
+     * @param {string} id
+     * @param {RegistryContributor} contributor
+     * @returns {() => boolean} Unregisters the contributor.
+     */
+    registerRegistryContributor: (id, contributor) => registerExtensionHook(registryContributors, 'Registry contributor', id, contributor),
+    /**
+     * @param {string} id
+     * @param {SelectionFilter} filter
+     * @returns {() => boolean} Unregisters the filter.
+     */
+    registerSelectionFilter: (id, filter) => registerExtensionHook(selectionFilters, 'Selection filter', id, filter),
+    /**
+     * @param {string} id
+     * @param {SelectionBackend} backend Needs a `select` function; `label` and `local` are optional.
+     */
+    registerSelectionBackend,
+});
+
+
 // ============================================================================
 //  INITIALIZATION
 // ============================================================================
@@ -626,25 +4647,15 @@ function bindCoreEventListeners() {
 async function initializeExtension() {
     log('Initializing PseudoBBL...');
     try {
-        const settings = getSettings();
-        if (!settings.stage2Api || !settings.stage2Model) {
-            const context = getContext();
-            settings.stage2Api = context.api;
-            settings.stage2Model = context.model;
-            saveSettings();
-            log('Initialized Stage 2 model to user\'s current selection.');
-        }
-
         const extensionBasePath = new URL('.', import.meta.url).href;
         const settingsHtml = await fetch(`${extensionBasePath}settings.html`).then(res => res.text());
         document.getElementById('extensions_settings').insertAdjacentHTML('beforeend', settingsHtml);
         
-        if (!checkDependencies()) {
-            window.toastr.error('LALib extension not found. PseudoBBL is disabled.', LOG_PREFIX, { timeOut: 0, extendedTimeOut: 0 });
-        }
-        
+        checkDependencies();
+        resolveActiveProfile();
         initializeUI();
         bindCoreEventListeners();
+        registerSlashCommands();
         await populateLorebookOptions();
         updateUIState();
         log('PseudoBBL initialization sequence complete.');
@@ -654,4 +4665,5 @@ async function initializeExtension() {
     }
 }
 
+window.PseudoBBL = publicApi;
 eventSource.on(event_types.APP_READY, () => initializeExtension());